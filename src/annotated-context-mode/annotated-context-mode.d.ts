@@ -1,7 +0,0 @@
-interface AnnotatedEntry {
-  text: string;
-  priority: number | null;
-  score: number;
-  topics?: Set<string>;
-  relations?: AnyRelationDef[];
-}
\ No newline at end of file
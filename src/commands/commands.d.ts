@@ -1,6 +1,10 @@
 type AIDData = import("aid-bundler/src/aidData").AIDData;
 
-type SimpleCommandHandler = (data: AIDData, args: string[]) => string | void;
+/**
+ * Returns the message to show.  Return a `MultiplayerMessage` to show it only
+ * to certain players.
+ */
+type SimpleCommandHandler = (data: AIDData, args: string[]) => string | MultiplayerMessage | void;
 
 type PatternCommandStruct = Record<string, SimpleCommandHandler>;
 type PatternCommandEntry = [pattern: string | RegExp | null, handler: SimpleCommandHandler];
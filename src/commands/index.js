@@ -4,6 +4,7 @@ const { dew, escapeRegExp } = require("../utils");
 
 /**
  * A simple command that allows you to return a string, which is set as the message.
+ * It may also return a `MultiplayerMessage`, to limit who can see it.
  */
 class SimpleCommand extends Command {
   /**
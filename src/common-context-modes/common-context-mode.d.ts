@@ -1,10 +1,7 @@
-interface CommonModeEntry {
-  text: string;
-  priority: number | null;
-  score: number;
-  topics?: Set<string>;
-  relations?: AnyRelationDef[];
-}
+type CommonModeEntry
+  = ContextBuild.SourceTypes["StateEngine.forContextMemory"]
+  | ContextBuild.SourceTypes["StateEngine.forHistory"]
+  | ContextBuild.SourceTypes["playerMemory"];
 
 interface CommonModeConfig {
   /** The text to place on a line before the notes. */
@@ -13,4 +10,4 @@ interface CommonModeConfig {
   notesBreak: string;
   /** The text introducing the author's note. */
   authorsNoteText: string;
-}
\ No newline at end of file
+}
@@ -1,12 +1,51 @@
 /// <reference path="./common-context-mode.d.ts" />
+/// <reference path="../context-builder/context-builder.d.ts" />
 /// <reference path="../context-mode/context-mode.d.ts" />
-const { dew, is, getText } = require("../utils");
-const { chain, iterReverse, iterPosition, limitText } = require("../utils");
-const { getClosestCache, getStateEngineData, buildHistoryData } = require("../context-mode/utils");
-const { cleanText, sumOfUsed, joinedLength } = require("../context-mode/utils");
-const getConfig = require("../context-mode/config");
-const { entrySorter } = require("../state-engine/entrySorting");
-const { entrySelector } = require("../state-engine/entrySelection");
+const { dew } = require("../utils");
+const { buildContext } = require("../context-builder");
+
+/**
+ * Favors entries closer to the latest text.  We need to know how far back we
+ * go in the history and then penalize the scores accordingly.
+ * 
+ * @template {CommonModeEntry} T
+ * @param {Iterable<T>} iterNotes
+ * @returns {Iterable<T>}
+ */
+const favorRecentNotes = function* (iterNotes) {
+  // Materialize the iterable, as we need to run through it twice.
+  const allNotes = [...iterNotes];
+
+  const [leeway, maxHistory] = dew(() => {
+    let maxHistory = 0;
+    for (const entry of allNotes) {
+      if (entry.source !== "history") continue;
+      if (entry.start.source <= maxHistory) continue;
+      maxHistory = entry.start.source;
+    }
+    if (maxHistory <= 2) return [0, 0];
+    return [2, maxHistory];
+  });
+
+  if (maxHistory === 0) {
+    yield* allNotes;
+    return;
+  }
+
+  // If an entry's source comes from after `leeway`, we still want to penalize it.
+  const adjMax = maxHistory - leeway;
+
+  for (const note of allNotes) {
+    // We allow the first 3 to emit without penalty.
+    if (note.source !== "history") yield note;
+    else if (note.start.source <= leeway) yield note;
+    else {
+      const adjSource = note.start.source - leeway;
+      const scoreScalar = 1 - ((adjSource / adjMax) * 0.5);
+      yield { ...note, score: note.score * scoreScalar };
+    }
+  }
+};
 
 /**
  * Constructs a variations on a relatively successful context pattern.
@@ -18,152 +57,35 @@ const contextModifier = (config) => (data) => {
   // Only begin working after the second turn.
   if (data.actionCount <= 2) return;
 
-  const { state, playerMemory } = data;
-  const { authorsNote, frontMemory } = state.memory;
-  const { maxChars, maxMemory } = getConfig(data);
-
-  // Materialize the history data into an array, limiting it to the entries
-  // that can possibly fit into the context.  This comes out already reversed.
-  const historyData = chain(buildHistoryData(data))
-    .filter((entry) => entry.lengthToHere <= maxChars)
-    .toArray();
-  
-  // Compile a set of history sources, so we know (roughly) how far back we can look.
-  const historySources = new Set(chain(historyData).map((hd) => hd.sources.entries.keys()).flatten().value());
-
-  const authorsNoteText = dew(() => {
-    if (!authorsNote) return "";
-    const theStyle = cleanText(authorsNote);
-    if (theStyle.length === 0) return "";
-    return ["[", config.authorsNoteText, " ", ...theStyle.join(" "), "]"].join("");
+  data.text = buildContext(data, (builder) => {
+    const authorsNote = builder.source("authorsNote")
+      .joinText(" ")
+      .mapText((text) => `[${config.authorsNoteText} ${text}]`);
+
+    // In this context mode, we group the player memory and any State Engine
+    // entries into a notes section.  If we run low on space, we have to use
+    // some strategy to trim things down.
+    const notes = builder.source("StateEngine.forContextMemory", "StateEngine.forHistory", "playerMemory")
+      .thru(favorRecentNotes)
+      .sortEntries()
+      .select("memory")
+      .mapText((text) => text.trim())
+      .filter(({ text }) => Boolean(text))
+      .mapText((text) => `• ${text}`)
+      .header(config.notesHeader);
+
+    // The front memory comes after the history we emit.  We insert the
+    // author's note on the third line-break from the end of the context.
+    // This will make sure it's closer to the end of the context, and will
+    // hopefully have more weight with the AI.  The story needs at least four
+    // lines for there to be such a line-break; with less, it is left out.
+    const story = builder.source("history", "frontMemory")
+      .trimStart("total")
+      .insertAfter(-4, authorsNote)
+      .prepend(config.notesBreak);
+
+    builder.section("notes", notes).section("story", story);
   });
-
-  const authorsNoteLength = joinedLength(authorsNoteText);
-
-  // We require State Engine to function, but can still style a few things.
-  const cacheData = getClosestCache(data);
-  
-  // Convert the player memory into something resembling State Engine entries,
-  // and incorporate any State Engine entries we want to use as notes.
-  /** @type {Iterable<CommonModeEntry>} */
-  const theNotes = dew(() => {
-    const forContext = cacheData?.forContextMemory ?? [];
-    const forHistory = cacheData?.forHistory ?? [];
-    return chain()
-      .concat(forContext)
-      .concat(forHistory)
-      .map((cached) => getStateEngineData(data, cached))
-      .filter(Boolean)
-      .filter((sd) => {
-        if (sd.source !== "history") return true;
-        const startSource = sd.start.source;
-        return is.number(startSource) && historySources.has(startSource);
-      })
-      .map((sd) => ({ ...sd, text: cleanText(sd.text).join("  ") }))
-      .thru(function* (iterStateData) {
-        // Materialize the iterable, as we need to run through it twice.
-        const allStateData = [...iterStateData];
-
-        // Favoring entries closer to the latest text.
-        // We need to know how far back we go in the history and then penalize the
-        // scores accordingly.
-        const [leeway, maxHistory] = dew(() => {
-          let maxHistory = 0;
-          for (const entry of allStateData) {
-            if (entry.source !== "history") continue;
-            if (entry.start.source <= maxHistory) continue;
-            maxHistory = entry.start.source;
-          }
-          if (maxHistory <= 2) return [0, 0];
-          return [2, maxHistory];
-        });
-
-        if (maxHistory === 0) {
-          yield* allStateData;
-          return;
-        }
-
-        // If an entry's source comes from after `leeway`, we still want to penalize it.
-        const adjMax = maxHistory - leeway;
-
-        for (const sd of allStateData) {
-          // We allow the first 3 to emit without penalty.
-          if (sd.source !== "history") yield sd;
-          else if (sd.start.source <= leeway) yield sd;
-          else {
-            const adjSource = sd.start.source - leeway;
-            const scoreScalar = 1 - ((adjSource / adjMax) * 0.5);
-            yield { ...sd, score: sd.score * scoreScalar };
-          }
-        }
-      })
-      .concat(dew(() => {
-        if (!playerMemory) return [];
-        return cleanText(playerMemory)
-          .map((text, i) => ({ text, priority: (i + 1000) * -1, score: 40 }));
-      }))
-      .value();
-  });
-
-  // In this context mode, we group all these entries into a "Notes:"
-  // section.  If we run low on space, we have to use some strategy to
-  // trim things down.
-  const notesText = dew(() => {
-    return chain(theNotes)
-      .thru(entrySorter)
-      .thru((notes) => entrySelector(
-        notes,
-        // Have to account for the new lines for `styleLines` and `notesHeader`.
-        maxMemory - [authorsNoteLength, config.notesHeader].reduce(sumOfUsed(), 0),
-        { lengthGetter: ({ text }) => text.length + 1 }
-      ))
-      .map((note) => note.text.trim())
-      .filter(Boolean)
-      .map((text) => `• ${text}`)
-      .value((limitedNotes) => {
-        const result = [...limitedNotes];
-        if (result.length === 0) return [];
-        return [config.notesHeader, ...result];
-      });
-  });
-
-  const notesLength = joinedLength(notesText);
-
-  const storyText = dew(() => {
-    // This comes in front of the history we emit.
-    const theFrontMemory = cleanText(frontMemory).reverse();
-    return chain(theFrontMemory)
-      .concat(historyData)
-      .map(getText)
-      .filter(Boolean)
-      .thru((story) => limitText(
-        story,
-        // Have to account for the new lines...
-        maxChars - [notesLength, config.notesBreak, authorsNoteLength].reduce(sumOfUsed(), 0),
-        {
-          // Here we account for the new line separating each line of the story.
-          lengthGetter: (text) => text ? text.length + 1 : 0
-        }
-      ))
-      // Finally, lets insert the `authorsNoteText` on the third line-break
-      // from the end of the context.  This will make sure it's closer
-      // to the end of the context, and will hopefully have more weight
-      // with the AI.
-      .thru(function* (story) {
-        if (authorsNoteText) {
-          for (const [pos, text] of iterPosition(story)) {
-            if (pos === 3) yield authorsNoteText;
-            yield text;
-          }
-        }
-        else yield* story;
-      })
-      .concat(config.notesBreak)
-      .thru(iterReverse)
-      .value();
-  });
-
-  data.text = [...notesText, ...storyText].join("\n");
 };
 
 /**
@@ -192,4 +114,4 @@ exports.narratorModule = {
     notesBreak: "",
     authorsNoteText: "Direction:"
   })
-};
\ No newline at end of file
+};
@@ -0,0 +1,57 @@
+declare namespace ContextBuild {
+  /**
+   * The budgets a source can be limited by.
+   * - `"total"` - The space for the whole context (`maxChars`).
+   * - `"memory"` - The space devoted to world-info (`maxMemory`).
+   */
+  type Pool = "total" | "memory";
+
+  /** The most basic thing a source can yield; something with text. */
+  interface Entry {
+    text: string;
+  }
+
+  /** A line of the player memory, formatted so it can be sorted with other notes. */
+  interface MemoryEntry extends Entry {
+    source: "playerMemory";
+    priority: number;
+    score: number;
+  }
+
+  /** A line of the history, with a running total of the length to this point. */
+  interface HistoryLine extends Entry, HistoryIteratorResult {
+    /** The length, in the configured measure, of this line and all lines that came later than it. */
+    lengthToHere: number;
+  }
+
+  /** The data sources available to the builder and what they yield. */
+  interface SourceTypes {
+    /** The lines of the action history that could fit in the context. */
+    "history": HistoryLine;
+    /** The lines of `state.memory.authorsNote`. */
+    "authorsNote": Entry;
+    /** The lines of `state.memory.frontMemory`. */
+    "frontMemory": Entry;
+    /** The lines of the player's pinned memory. */
+    "playerMemory": MemoryEntry;
+    /** The State-Engine entries selected for the context memory. */
+    "StateEngine.forContextMemory": ContextData.GeneralData;
+    /** The State-Engine entries selected for the history that is in range of the context. */
+    "StateEngine.forHistory": ContextData.HistoryData;
+  }
+
+  type SourceName = keyof SourceTypes;
+
+  /** Information provided to an operation while a source is resolved. */
+  interface ResolveContext {
+    /** Gets the space still available in a budget for the source being resolved. */
+    budgetFor(pool: Pool): number;
+    /** The resolver State-Engine used for relating topics this turn. */
+    topicResolver: TopicResolver;
+    /** How the length of text is measured; budgets are in its units. */
+    measure: LengthMeasure;
+  }
+
+  /** An operation on the entries of a source. */
+  type Operation = (entries: Iterable<Entry>, ctx: ResolveContext) => Iterable<Entry>;
+}
@@ -0,0 +1,518 @@
+/// <reference path="./context-builder.d.ts" />
+/// <reference path="../context-mode/context-mode.d.ts" />
+const { is, shutUpTS, chain, iterReverse, limitText } = require("../utils");
+const { getClosestCache, getStateEngineData, buildHistoryData } = require("../context-mode/utils");
+const { cleanText, usedLength, joinedLength } = require("../context-mode/utils");
+const getConfig = require("../context-mode/config");
+const { entrySorter } = require("../state-engine/entrySorting");
+const { entrySelector } = require("../state-engine/entrySelection");
+const { nilTopicResolver } = require("../state-engine/TopicResolver");
+
+const $$builder = Symbol("ContextSource.builder");
+const $$names = Symbol("ContextSource.names");
+const $$ops = Symbol("ContextSource.ops");
+const $$fixedText = Symbol("ContextSource.fixedText");
+const $$dependencies = Symbol("ContextSource.dependencies");
+const $$sortKeys = Symbol("ContextSource.sortKeys");
+const $$embedded = Symbol("ContextSource.embedded");
+
+const $$data = Symbol("ContextBuilder.data");
+const $$sources = Symbol("ContextBuilder.sources");
+const $$sections = Symbol("ContextBuilder.sections");
+const $$resolved = Symbol("ContextBuilder.resolved");
+const $$usedLength = Symbol("ContextBuilder.usedLength");
+
+/**
+ * Creates a function that gets the length of an entry's line, including the
+ * new-line that will follow it.
+ *
+ * @param {LengthMeasure} measure
+ * @returns {(entry: ContextBuild.Entry) => number}
+ */
+const lineLength = (measure) => ({ text }) => usedLength(text ?? "", "\n", measure);
+
+/**
+ * A data source for the context.  Operations called on it are recorded and
+ * only executed when the `ContextBuilder` it belongs to is built.
+ *
+ * Operations that limit the source to a budget will use whatever space is left
+ * in that budget after all sources created before it were resolved.
+ *
+ * @template {ContextBuild.Entry} T
+ */
+class ContextSource {
+  /**
+   * @param {ContextBuilder} builder
+   * @param {ContextBuild.SourceName[]} names
+   */
+  constructor(builder, names) {
+    this[$$builder] = builder;
+    this[$$names] = names;
+    /** @type {ContextBuild.Operation[]} */
+    this[$$ops] = [];
+    /** @type {string[]} */
+    this[$$fixedText] = [];
+    /** @type {Set<ContextSource<any>>} */
+    this[$$dependencies] = new Set();
+    /** @type {Array<[key: string, dir: "asc" | "desc"]>} */
+    this[$$sortKeys] = [];
+  }
+
+  /** The names of the data sources this source draws from. */
+  get names() {
+    return this[$$names];
+  }
+
+  /** The other sources that must be resolved before this one. */
+  get dependencies() {
+    return this[$$dependencies];
+  }
+
+  /**
+   * Transforms each entry.
+   *
+   * @template {ContextBuild.Entry} TOut
+   * @param {(entry: T) => TOut} transformFn
+   * @returns {ContextSource<TOut>}
+   */
+  map(transformFn) {
+    return this.thru((entries) => chain(entries).map(transformFn).value());
+  }
+
+  /**
+   * Transforms the text of each entry.  This produces a copy of the entry
+   * with its `text` replaced.
+   *
+   * @param {(text: string, entry: T) => string} transformFn
+   * @returns {this}
+   */
+  mapText(transformFn) {
+    return shutUpTS(this.map((entry) => ({ ...entry, text: transformFn(entry.text, entry) })));
+  }
+
+  /**
+   * Removes entries that fail the predicate.
+   *
+   * @param {(entry: T) => boolean} predicateFn
+   * @returns {this}
+   */
+  filter(predicateFn) {
+    return shutUpTS(this.thru((entries) => chain(entries).filter(predicateFn).value()));
+  }
+
+  /**
+   * Transforms the entries as a whole.
+   *
+   * @template {ContextBuild.Entry} TOut
+   * @param {(entries: Iterable<T>, ctx: ContextBuild.ResolveContext) => Iterable<TOut>} transformFn
+   * @returns {ContextSource<TOut>}
+   */
+  thru(transformFn) {
+    this[$$ops].push(shutUpTS(transformFn));
+    return shutUpTS(this);
+  }
+
+  /**
+   * Sorts the entries by the value of one of their properties.  Subsequent
+   * calls add additional keys, which will be used to break ties.
+   *
+   * Entries lacking the property are sorted as if it were `0`.
+   *
+   * @param {keyof T & string} key
+   * @param {"asc" | "desc"} [dir]
+   * @returns {this}
+   */
+  prioritizeBy(key, dir = "desc") {
+    const sortKeys = this[$$sortKeys];
+    if (sortKeys.length === 0) {
+      this.thru((entries) => [...entries].sort((a, b) => {
+        for (const [key, dir] of sortKeys) {
+          /** @type {Record<string, any>} */
+          const aObj = a;
+          /** @type {Record<string, any>} */
+          const bObj = b;
+          const result = (aObj[key] ?? 0) - (bObj[key] ?? 0);
+          if (result !== 0) return dir === "asc" ? result : -result;
+        }
+        return 0;
+      }));
+    }
+    sortKeys.push([key, dir]);
+    return this;
+  }
+
+  /**
+   * Sorts the entries using State-Engine's natural sorting, which groups related
+   * entries together and orders them by their priority.
+   *
+   * @returns {ContextSource<T & WithOrdering>}
+   */
+  sortEntries() {
+    return this.thru((entries, ctx) => entrySorter(entries, ctx.topicResolver));
+  }
+
+  /**
+   * Selects the entries with the best scores that can fit into the space still
+   * available in a budget.  The entries retain their current order.
+   *
+   * @param {ContextBuild.Pool} pool
+   * @returns {this}
+   */
+  select(pool) {
+    return shutUpTS(this.thru((entries, ctx) => {
+      /** @type {Array<ContextBuild.Entry & WithOrdering>} */
+      const ordered = [...entries].map((entry, i) => "order" in entry ? shutUpTS(entry) : { ...entry, order: i });
+      return entrySelector(ordered, ctx.budgetFor(pool), { lengthGetter: lineLength(ctx.measure) });
+    }));
+  }
+
+  /**
+   * Drops entries from the start until the remainder fits into the space still
+   * available in a budget.  Use this to keep only the latest text of the story.
+   *
+   * @param {ContextBuild.Pool} pool
+   * @returns {this}
+   */
+  trimStart(pool) {
+    return shutUpTS(this.thru((entries, ctx) => chain(entries)
+      .thru(iterReverse)
+      .thru((reversed) => limitText(reversed, ctx.budgetFor(pool), { lengthGetter: lineLength(ctx.measure) }))
+      .thru(iterReverse)
+      .value()
+    ));
+  }
+
+  /**
+   * Joins the text of all entries into a single entry.  If there are no entries,
+   * it will remain empty.
+   *
+   * @param {string} [joiner]
+   * @returns {ContextSource<ContextBuild.Entry>}
+   */
+  joinText(joiner = "\n") {
+    return this.thru((entries) => {
+      const texts = [...entries].map((entry) => entry.text);
+      return texts.length ? [{ text: texts.join(joiner) }] : [];
+    });
+  }
+
+  /**
+   * Places a line of text before the entries, but only if there are any.
+   *
+   * Its length is always deducted from the budgets of this source.
+   *
+   * @param {string} text
+   * @returns {this}
+   */
+  header(text) {
+    this[$$fixedText].push(text);
+    return shutUpTS(this.thru((entries) => {
+      const theEntries = [...entries];
+      if (theEntries.length === 0) return theEntries;
+      return [{ text }, ...theEntries];
+    }));
+  }
+
+  /**
+   * Places a line of text before the entries.
+   *
+   * Its length is always deducted from the budgets of this source.
+   *
+   * @param {string} text
+   * @returns {this}
+   */
+  prepend(text) {
+    this[$$fixedText].push(text);
+    return shutUpTS(this.thru((entries) => chain([{ text }]).concat(entries).value()));
+  }
+
+  /**
+   * Places a line of text after the entries.
+   *
+   * Its length is always deducted from the budgets of this source.
+   *
+   * @param {string} text
+   * @returns {this}
+   */
+  append(text) {
+    this[$$fixedText].push(text);
+    return shutUpTS(this.thru((entries) => chain(entries).concat([{ text }]).value()));
+  }
+
+  /**
+   * Inserts the lines of another source after the entry at `index`.  A negative
+   * `index` counts from the end, so `-4` places the lines so that three entries
+   * come after them.  If there is no entry at `index`, nothing is inserted.
+   *
+   * The other source will be resolved before this one and its length will count
+   * against the budgets of this source.
+   *
+   * @param {number} index
+   * @param {ContextSource<any>} otherSource
+   * @returns {this}
+   */
+  insertAfter(index, otherSource) {
+    this[$$dependencies].add(otherSource);
+    const builder = this[$$builder];
+    return shutUpTS(this.thru((entries) => {
+      const theEntries = [...entries];
+      const position = index < 0 ? theEntries.length + index : index;
+      if (position < 0 || position >= theEntries.length) return theEntries;
+
+      const toInsert = builder.linesOf(otherSource).map((text) => ({ text, [$$embedded]: true }));
+      theEntries.splice(position + 1, 0, ...shutUpTS(toInsert));
+      return theEntries;
+    }));
+  }
+
+  /**
+   * Resolves the entries of this source.
+   *
+   * @param {ContextBuild.ResolveContext} ctx
+   * @param {Iterable<ContextBuild.Entry>} initialEntries
+   * @returns {ContextBuild.Entry[]}
+   */
+  resolve(ctx, initialEntries) {
+    let entries = initialEntries;
+    for (const op of this[$$ops]) entries = op(entries, ctx);
+    return [...entries];
+  }
+
+  /**
+   * The length of the lines this source will always add, regardless of the
+   * entries it has.
+   *
+   * @type {number}
+   */
+  get fixedLength() {
+    const { measure } = this[$$builder];
+    return this[$$fixedText].reduce((acc, text) => acc + usedLength(text, "\n", measure), 0);
+  }
+}
+
+/**
+ * Assembles the context from sources of data, keeping it all within the
+ * space available.
+ *
+ * Sources are resolved in the order they were created, and each one uses up
+ * some of the space available to the sources resolved after it.  Sections
+ * determine the order that the sources are placed in the final text.
+ */
+class ContextBuilder {
+  /**
+   * @param {AIDData} data
+   */
+  constructor(data) {
+    const { measure, maxCharacters, maxChars, maxMemory } = getConfig(data);
+
+    this[$$data] = data;
+    /** How the length of text is measured; the budgets are in its units. */
+    this.measure = measure;
+    /** The total space for the context, in characters, whatever the measure. */
+    this.maxCharacters = maxCharacters;
+    /** The total space for the context. */
+    this.maxChars = maxChars;
+    /** The space to devote to world-info. */
+    this.maxMemory = maxMemory;
+
+    /** @type {ContextSource<any>[]} */
+    this[$$sources] = [];
+    /** @type {Array<[name: string, sources: ContextSource<any>[]]>} */
+    this[$$sections] = [];
+    /** @type {Map<ContextSource<any>, string[]>} */
+    this[$$resolved] = new Map();
+    this[$$usedLength] = 0;
+
+    /**
+     * The history lines that can possibly fit in the context, latest first.
+     *
+     * @type {ContextBuild.HistoryLine[]}
+     */
+    this.historyData = chain(buildHistoryData(data, measure))
+      .filter((entry) => entry.lengthToHere <= maxChars)
+      .toArray();
+
+    /**
+     * The history sources represented in `historyData`, so we know (roughly)
+     * how far back in the history we can look.
+     *
+     * @type {Set<number>}
+     */
+    this.historySources = new Set(chain(this.historyData).map((hd) => hd.sources.entries.keys()).flatten().value());
+
+    /** The State-Engine association cache nearest the current turn. */
+    this.cacheData = getClosestCache(data);
+
+    /**
+     * The resolver State-Engine used to relate topics this turn.  Without it,
+     * only namespaced topics will be understood when sorting.
+     *
+     * @type {TopicResolver}
+     */
+    this.topicResolver = data.stateEngineContext?.topicResolver ?? nilTopicResolver;
+  }
+
+  /**
+   * Creates a new source of data for the context.  When given multiple names,
+   * their data is concatenated together.
+   *
+   * @template {ContextBuild.SourceName} TName
+   * @param {...TName} names
+   * @returns {ContextSource<ContextBuild.SourceTypes[TName]>}
+   */
+  source(...names) {
+    /** @type {ContextSource<ContextBuild.SourceTypes[TName]>} */
+    const newSource = new ContextSource(this, names);
+    this[$$sources].push(newSource);
+    return newSource;
+  }
+
+  /**
+   * Declares a section of the context.  Sections are placed in the context in
+   * the order they are declared.
+   *
+   * @param {string} name
+   * @param {...ContextSource<any>} sources
+   * @returns {this}
+   */
+  section(name, ...sources) {
+    this[$$sections].push([name, sources]);
+    return this;
+  }
+
+  /**
+   * Gets the lines a source produced.  The source must already be resolved.
+   *
+   * @param {ContextSource<any>} source
+   * @returns {string[]}
+   */
+  linesOf(source) {
+    const lines = this[$$resolved].get(source);
+    if (!lines) throw new Error(`A source for ${source.names.join(", ")} was used before it was resolved.`);
+    return lines;
+  }
+
+  /**
+   * Gets the raw entries for a named data source.
+   *
+   * @param {ContextBuild.SourceName} name
+   * @returns {Iterable<ContextBuild.Entry>}
+   */
+  fetch(name) {
+    const data = this[$$data];
+    const { state: { memory }, playerMemory } = data;
+    const toEntry = (/** @type {string} */ text) => ({ text });
+
+    switch (name) {
+      case "history":
+        return iterReverse(this.historyData);
+      case "authorsNote":
+        return cleanText(memory.authorsNote).map(toEntry);
+      case "frontMemory":
+        return cleanText(memory.frontMemory).map(toEntry);
+      case "playerMemory":
+        return cleanText(playerMemory).map((text, i) => ({
+          text, source: "playerMemory", priority: (i + 1000) * -1, score: 40
+        }));
+      case "StateEngine.forContextMemory":
+      case "StateEngine.forHistory": {
+        const forContext = name === "StateEngine.forContextMemory";
+        const cached = (forContext ? this.cacheData?.forContextMemory : this.cacheData?.forHistory) ?? [];
+        return chain(cached)
+          .map((cached) => getStateEngineData(data, cached))
+          .filter(Boolean)
+          .filter((sd) => {
+            if (sd.source !== "history") return true;
+            const startSource = sd.start.source;
+            return is.number(startSource) && this.historySources.has(startSource);
+          })
+          .map((sd) => ({ ...sd, text: cleanText(sd.text).join("  ") }))
+          .toArray();
+      }
+      default:
+        throw new Error(`Unknown context source: ${name}`);
+    }
+  }
+
+  /**
+   * Resolves a source and all the sources it depends on.
+   *
+   * @param {ContextSource<any>} source
+   * @returns {void}
+   */
+  resolve(source) {
+    if (this[$$resolved].has(source)) return;
+    for (const dependency of source.dependencies) this.resolve(dependency);
+
+    /** @type {ContextBuild.ResolveContext} */
+    const ctx = {
+      budgetFor: (pool) => {
+        const poolSize = pool === "memory" ? this.maxMemory : this.maxChars;
+        return poolSize - this[$$usedLength] - source.fixedLength;
+      },
+      topicResolver: this.topicResolver,
+      measure: this.measure
+    };
+
+    const initialEntries = chain(source.names).map((name) => this.fetch(name)).flatten().value();
+    const entries = source.resolve(ctx, initialEntries);
+    const lines = entries.map((entry) => entry.text);
+
+    // Lines inserted from other sources were already counted.
+    /** @type {Record<symbol, unknown>[]} */
+    const entryObjs = shutUpTS(entries);
+    const ownLines = entries.filter((_, i) => !entryObjs[i][$$embedded]).map((entry) => entry.text);
+    this[$$usedLength] += usedLength(joinedLength(ownLines, "\n", this.measure), "\n", this.measure);
+    this[$$resolved].set(source, lines);
+  }
+
+  /**
+   * Resolves all the sources and assembles the text of the context.
+   *
+   * The budgets may be in a measure other than characters, but AI Dungeon will
+   * still cut the front off of a context with too many characters, which is
+   * where the notes usually are.  If the text comes out too long, the budgets
+   * are shrunk and the sources resolved again until it fits.
+   *
+   * @returns {string}
+   */
+  build() {
+    for (;;) {
+      for (const source of this[$$sources]) this.resolve(source);
+
+      const text = chain(this[$$sections])
+        .map(([, sources]) => sources)
+        .flatten()
+        .map((source) => this.linesOf(source))
+        .flatten()
+        .toArray()
+        .join("\n");
+
+      if (text.length <= this.maxCharacters) return text;
+      // Nothing left to shrink; only the fixed text remains.
+      if (this.maxChars <= 0) return text.slice(-this.maxCharacters);
+
+      const scale = Math.min(0.9, this.maxCharacters / text.length);
+      this.maxChars = Math.floor(this.maxChars * scale);
+      this.maxMemory = Math.floor(this.maxMemory * scale);
+      this[$$resolved].clear();
+      this[$$usedLength] = 0;
+    }
+  }
+}
+
+/**
+ * Builds the text of a context using a `ContextBuilder`.
+ *
+ * @param {AIDData} data
+ * @param {(builder: ContextBuilder) => void} builderFn
+ * @returns {string}
+ */
+exports.buildContext = (data, builderFn) => {
+  const builder = new ContextBuilder(data);
+  builderFn(builder);
+  return builder.build();
+};
+
+exports.ContextBuilder = ContextBuilder;
+exports.ContextSource = ContextSource;
@@ -1,6 +1,7 @@
 const { dew } = require("../utils");
 const { ConfigNamespace } = require("../config-commander/ConfigNamespace");
 const getStateEngineConfig = require("../state-engine/config");
+const { getLengthMeasure } = require("../length-measure");
 
 const defaultConfiguration = {
   /**
@@ -17,8 +18,16 @@ const defaultConfiguration = {
 /**
  * @typedef ContextModeConfigWrapper
  * @prop {ContextModeConfig} configNamespace
+ * @prop {LengthMeasure} measure
+ * The measure selected by `state-engine.lengthMeasure`.  The budgets below
+ * are in its units.
+ * @prop {number} maxCharacters
+ * The space for the whole context, in characters.  AI Dungeon cuts the front
+ * off of any context longer than this, whatever the measure.
  * @prop {number} maxChars
+ * The space for the whole context.
  * @prop {number} maxMemory
+ * The space to devote to world-info.
  */
 
 /**
@@ -29,9 +38,11 @@ const defaultConfiguration = {
  */
 module.exports = (aidData) => {
   const configNamespace = ConfigNamespace.fetch(aidData, "context-mode", defaultConfiguration);
+  const measure = getLengthMeasure(aidData);
 
   // Determine how to treat `maxChars`, which State-Engine sets up for us.
-  const maxChars = dew(() => {
+  // It is always given in characters, so convert it into the measure's units.
+  const maxCharacters = dew(() => {
     const seConfig = getStateEngineConfig(aidData);
     const override = seConfig.get("integer", "maxCharsOverride");
     if (override > 0) return override;
@@ -39,6 +50,7 @@ module.exports = (aidData) => {
     const multiplier = seConfig.get("number", "maxCharsMultiplier");
     return (aidData.info.maxChars * multiplier) | 0;
   });
+  const maxChars = measure.fromCharacters(maxCharacters);
 
   // Determine how much of the context we're going to commit to extra stuff.
   const maxMemory = dew(() => {
@@ -46,5 +58,5 @@ module.exports = (aidData) => {
     return (maxChars * multiplier) | 0;
   });
 
-  return Object.freeze({ configNamespace, maxChars, maxMemory });
+  return Object.freeze({ configNamespace, measure, maxCharacters, maxChars, maxMemory });
 };
\ No newline at end of file
@@ -32,7 +32,8 @@ interface HistoryData {
   /** The emitted offset for this entry.  Use this for sorting purposes. */
   offset: number;
   /**
-   * How many characters make up this entry and all entries that came later than it.
+   * The length of this entry and all entries that came later than it, in the
+   * units of the configured `LengthMeasure`.
    * Since we're having to do space management, I figured I'd just precalculate this.
    */
   lengthToHere: number;
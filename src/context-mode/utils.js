@@ -4,6 +4,9 @@ const { iterReverse } = require("../utils");
 const turnCache = require("../turn-cache");
 const perLineIterator = require("../state-engine/iterators/perLine");
 const { WrappedIteratorResult } = require("../state-engine/iterators/_helpers");
+const { getLengthMeasure, characters } = require("../length-measure");
+const { getCharacterNames } = require("../input-mode");
+const { hasTemplate, templateContextFor, renderTemplate } = require("../state-engine/templating");
 
 /**
  * Gets the nearest association cache object for the current turn.  If an exact
@@ -44,6 +47,9 @@ exports.getClosestCache = (aidData) => {
  * Obtains the State Engine entry from `state.$$stateDataCache`.  Augments it
  * with information you're likely to want while processing the context.
  * 
+ * The entry's text is rendered as a template, using the closest cache to
+ * determine what topics are in context.
+ * 
  * @param {import("aid-bundler/src/aidData").AIDData} aidData
  * @param {Maybe<StateEngineCacheData>} assocData
  * @returns {Maybe<ContextData>}
@@ -62,7 +68,7 @@ exports.getStateEngineData = (aidData, assocData) => {
   const topics = new Set(topicsArr);
 
   // And locate some text for the entry?
-  const text = dew(() => {
+  const rawText = dew(() => {
     if (stateData.text) return stateData.text;
 
     // Try and pull up a world-info from the ID.
@@ -70,9 +76,18 @@ exports.getStateEngineData = (aidData, assocData) => {
     const worldInfo = aidData.worldEntries.find((wi) => wi.id === assocData.entryId);
     if (worldInfo) return getEntryText(worldInfo).trim();
     return undefined;
-  })
+  });
 
   // Pass this up if we have no text; it's not useful for context construction.
+  if (!rawText) return undefined;
+
+  const text = dew(() => {
+    if (!hasTemplate(rawText)) return rawText;
+    const templateCtx = templateContextFor(aidData, exports.getClosestCache(aidData));
+    return renderTemplate(assocData.entryId, rawText, templateCtx).trim();
+  });
+
+  // Rendering the template may have left nothing behind.
   if (!text) return undefined;
 
   return { ...restData, ...assocData, topics, text };
@@ -99,12 +114,15 @@ class ContextModeIteratorResult extends WrappedIteratorResult {
   /**
    * @param {HistoryIteratorResult} toWrap
    * @param {number} totalLength
+   * @param {LengthMeasure} measure
    */
-  constructor(toWrap, totalLength) {
+  constructor(toWrap, totalLength, measure) {
     super(toWrap);
     this[$$text] = exports.cleanText(toWrap.text).join("\n");
-    // Only add the extra character (for a new-line) if this isn't the latest entry.
-    const declaredLength = toWrap.offset === 0 ? this[$$text].length : this[$$text].length + 1;
+    // Only add the extra length (for a new-line) if this isn't the latest entry.
+    const declaredLength = toWrap.offset === 0
+      ? measure.lengthOf(this[$$text])
+      : exports.usedLength(this[$$text], "\n", measure);
     this.lengthToHere = totalLength + declaredLength;
   }
 
@@ -119,12 +137,14 @@ class ContextModeIteratorResult extends WrappedIteratorResult {
  * additional information to aid context building.
  * 
  * @param {import("aid-bundler/src/aidData").AIDData} aidData
+ * @param {LengthMeasure} [measure]
+ * How to measure `lengthToHere`; defaults to the configured measure.
  * @returns {Iterable<ContextModeIteratorResult>}
  */
-exports.buildHistoryData = function* (aidData) {
+exports.buildHistoryData = function* (aidData, measure = getLengthMeasure(aidData)) {
   let totalLength = 0;
-  for (const line of perLineIterator(aidData.history)) {
-    const result = new ContextModeIteratorResult(line, totalLength);
+  for (const line of perLineIterator(aidData.history, getCharacterNames(aidData))) {
+    const result = new ContextModeIteratorResult(line, totalLength, measure);
     if (result.text.length === 0) continue;
     totalLength = result.lengthToHere;
     yield result;
@@ -138,11 +158,13 @@ exports.buildHistoryData = function* (aidData) {
  * The string or a number representing a string's length.
  * @param {string} [joiner]
  * The string that will be used to join them; defaults to `"\n"`.
+ * @param {LengthMeasure} [measure]
+ * How to measure the strings; defaults to counting characters.
  * @returns {number}
  */
-exports.usedLength = (value, joiner = "\n") => {
-  const length = typeof value === "string" ? value.length : value;
-  return length > 0 ? length + joiner.length : 0;
+exports.usedLength = (value, joiner = "\n", measure = characters) => {
+  const length = typeof value === "string" ? measure.lengthOf(value) : value;
+  return length > 0 ? length + measure.lengthOf(joiner) : 0;
 };
 
 /**
@@ -152,10 +174,12 @@ exports.usedLength = (value, joiner = "\n") => {
  * 
  * @param {string} [joiner]
  * The string that will be used to join them; defaults to `"\n"`.
+ * @param {LengthMeasure} [measure]
+ * How to measure the strings; defaults to counting characters.
  * @returns {(acc: number, next: string | number) => number}
  */
-exports.sumOfUsed = (joiner = "\n") => (acc, next) =>
-  acc + exports.usedLength(next, joiner);
+exports.sumOfUsed = (joiner = "\n", measure = characters) => (acc, next) =>
+  acc + exports.usedLength(next, joiner, measure);
 
 /**
  * Gets the length of an iterable of strings, as if joined together with `joiner`.
@@ -164,16 +188,18 @@ exports.sumOfUsed = (joiner = "\n") => (acc, next) =>
  * The value to calculate the length for.
  * @param {string} [joiner]
  * The string that will be used to join them; defaults to `"\n"`.
+ * @param {LengthMeasure} [measure]
+ * How to measure the strings; defaults to counting characters.
  * @returns {number}
  */
-exports.joinedLength = (value, joiner = "\n") => {
-  if (typeof value === "string") return value.length;
+exports.joinedLength = (value, joiner = "\n", measure = characters) => {
+  if (typeof value === "string") return measure.lengthOf(value);
   let count = 0;
   let totalLength = 0;
   for (const str of value) {
-    totalLength += str.length;
+    totalLength += measure.lengthOf(str);
     count += 1;
   }
 
-  return totalLength + (count > 0 ? (count - 1) * joiner.length : 0);
+  return totalLength + (count > 0 ? (count - 1) * measure.lengthOf(joiner) : 0);
 };
\ No newline at end of file
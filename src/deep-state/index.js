@@ -1,7 +1,8 @@
 /// <reference path="../state-engine/state-engine.d.ts" />
 const { tuple, chain, rollDice, setsEqual } = require("../utils");
 const { addStateEntry } = require("../state-engine/registry");
-const { isParamsFor } = require("../state-engine/utils");
+const { isParamsFor, stateDataString } = require("../state-engine/utils");
+const { addLintRule } = require("../state-engine/lint");
 
 // Configuration.
 /** NPC may be implicitly included based on chance. */
@@ -45,8 +46,10 @@ const init = (data) => {
    * @returns {void}
    */
   const addTopicAsKeyword = (entry) => {
-    const [mainTopic] = entry.topics;
-    if (!mainTopic) return;
+    const [fullTopic] = entry.topics;
+    if (!fullTopic) return;
+    // For a namespaced topic, like `Guard/Boris`, only the last part is a name.
+    const mainTopic = fullTopic.slice(fullTopic.lastIndexOf("/") + 1);
     const hasMainTopic = entry.keywords.some((kw) => kw.type === "include" && kw.value === mainTopic);
     if (hasMainTopic) return;
     entry.keywords.push({ type: "include", exactMatch: true, value: mainTopic });
@@ -63,6 +66,19 @@ const init = (data) => {
       return info.characters.filter((char) => Boolean(char.name)).length > 1;
     }
 
+    /** Whether this entry is for the character that performed the latest action. */
+    get isActingPlayer() {
+      const { actingCharacter } = data.stateEngineContext;
+      if (!actingCharacter) return false;
+      const lowerName = actingCharacter.toLowerCase();
+      for (const topic of this.topics) {
+        // For a namespaced topic, like `Guard/Boris`, only the last part is a name.
+        const mainTopic = topic.slice(topic.lastIndexOf("/") + 1);
+        if (mainTopic.toLowerCase() === lowerName) return true;
+      }
+      return false;
+    }
+
     validator() {
       const issues = super.validator();
       if (!this.topics.size)
@@ -80,7 +96,8 @@ const init = (data) => {
     /**
      * If this is a single-player session, the player entry is always included as an
      * implicit reference.  In multi-player sessions, it works like a very powerful
-     * `State` entry instead.
+     * `State` entry instead, except for the entry of the player that performed the
+     * latest action, which is included implicitly.
      * 
      * @param {MatchableEntry} matcher 
      * @param {AssociationParamsFor<this>} params 
@@ -89,6 +106,8 @@ const init = (data) => {
     associator(matcher, params) {
       // Always include it implicitly when there's only a single player.
       if (isParamsFor("implicit", params) && !this.inMultiplayerMode) return true;
+      // In multiplayer, the acting player is always included, as well.
+      if (isParamsFor("implicit", params) && this.isActingPlayer) return true;
       // Use the default associator, otherwise.
       return super.associator(matcher, params);
     }
@@ -155,7 +174,8 @@ const init = (data) => {
     associator(matcher, params) {
       const diceSize = implicitInclusionDiceSides;
       // Has a chance of being implicitly included.
-      if (isParamsFor("implicit", params)) return rollDice(1, diceSize) === diceSize;
+      if (isParamsFor("implicit", params))
+        return rollDice(1, diceSize, data.stateEngineContext.random) === diceSize;
       // Otherwise, use the default associator from here on.
       return super.associator(matcher, params);
     }
@@ -202,7 +222,8 @@ const init = (data) => {
     associator(matcher, params) {
       const diceSize = implicitInclusionDiceSides;
       // Has a chance of being implicitly included.
-      if (isParamsFor("implicit", params)) return rollDice(1, diceSize) === diceSize;
+      if (isParamsFor("implicit", params))
+        return rollDice(1, diceSize, data.stateEngineContext.random) === diceSize;
       // Otherwise, use the default associator from here on.
       return super.associator(matcher, params);
     }
@@ -230,14 +251,19 @@ const init = (data) => {
       const issues = super.validator();
       if (this.topics.size)
         issues.push(`${this.bestName} cannot be given a topic.`);
-      if (this.relations.length || this.keywords.length)
+      if (this.hasMatchers)
         issues.push(`${this.bestName} cannot have any matchers.`);
       return issues;
     }
 
-    associator() {
-      // Only associates implicitly.
-      return true;
+    /**
+     * @param {MatchableEntry} matcher
+     * @param {AssociationParamsFor<this>} params
+     * @returns {boolean}
+     */
+    associator(matcher, params) {
+      // Only associates implicitly, when the game-state allows it.
+      return this.checkConditions(matcher, params);
     }
 
     valuator() {
@@ -383,7 +409,7 @@ const init = (data) => {
       const issues = super.validator();
       if (this.topics.size > 1)
         issues.push(`${this.bestName} cannot have more than one topic.`);
-      if (this.keywords.length === 0 && this.relations.length === 0)
+      if (!this.hasMatchers)
         issues.push(`${this.bestName} must have at least one matcher.`);
       return issues;
     }
@@ -439,6 +465,50 @@ const init = (data) => {
   addStateEntry(StateEntry);
 };
 
+/**
+ * A `$Lore` entry that still lacks inclusive matchers after its modifier ran
+ * failed to borrow them from another entry.  Entries with conditions are fine
+ * without them; those are matched by their conditions instead.
+ */
+addLintRule(function* ({ entries }) {
+  const { isInclusiveKeyword, isInclusiveRelation } = require("../state-engine/parsers/checks");
+
+  for (const entry of entries) {
+    if (entry.type !== "Lore") continue;
+    if (entry.topics.length === 0) continue;
+    if (entry.conditions?.length) continue;
+    if (entry.keywords.some(isInclusiveKeyword)) continue;
+    if (entry.relations.some(isInclusiveRelation)) continue;
+    yield {
+      entryId: entry.entryId,
+      message: "It has no inclusive matchers and could not copy them from exactly one other `$Lore` entry with all the same topics, so it will never match anything."
+    };
+  }
+});
+
+/**
+ * The first topic of a `$Player` or `$NPC` entry should identify that character;
+ * if another character shares it, relations can't tell them apart.
+ */
+addLintRule(function* ({ entries }) {
+  const characters = entries.filter((entry) => entry.type === "Player" || entry.type === "NPC");
+  for (const entry of characters) {
+    const [mainTopic] = entry.topics;
+    if (!mainTopic) continue;
+    const others = characters
+      .filter((other) => other !== entry && other.topics.includes(mainTopic))
+      .map((other) => stateDataString(other));
+    if (others.length === 0) continue;
+    yield {
+      entryId: entry.entryId,
+      message: [
+        `Its topic \`${mainTopic}\` is shared by other characters, so relations cannot tell them apart:`,
+        ...others
+      ].join("\n")
+    };
+  }
+});
+
 exports.stateModule = {
   pre: [init]
 };
\ No newline at end of file
@@ -74,14 +74,16 @@ const init = (data) => {
      * @returns {boolean}
      */
     associator(matcher, params) {
-      // Associates for the Author's Note source, exclusively.
-      if (isParamsFor("authorsNote", params)) return true;
+      // Associates for the Author's Note source, exclusively, so long as the
+      // game-state allows it.
+      if (isParamsFor("authorsNote", params)) return this.checkConditions(matcher, params);
 
       if (this.hasMatchers) {
         // We want to also check the recent history too.  The latest 5 history
         // sources should do the trick.  We'll increment `historyMatches` if we
         // match one.
         if (params.source >= 5) return false;
+        if (!this.checkConditions(matcher, params)) return false;
         if (!this.checkKeywords(matcher, params)) return false;
         if (!this.checkRelations(matcher, params)) return false;
         this.historyMatches += 1;
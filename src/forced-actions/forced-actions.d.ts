@@ -0,0 +1,12 @@
+declare interface GameState {
+  /**
+   * A hash of the text a `$Force` entry placed into `state.memory.frontMemory`,
+   * after its template was rendered.  State-Engine records it when it writes
+   * the front memory.
+   *
+   * Forced actions are intended to only apply for a single turn.  This is used
+   * to recognize that the front memory still holds the forced action, so it
+   * can be cleared out before the next turn is processed.
+   */
+  $$forcedFrontMemory?: string;
+}
@@ -0,0 +1,145 @@
+/// <reference path="./forced-actions.d.ts" />
+/// <reference path="../state-engine/state-engine.d.ts" />
+const { tuple } = require("../utils");
+const { isParamsFor, hashText } = require("../state-engine/utils");
+const { addStateEntry } = require("../state-engine/registry");
+const { ConfigNamespace } = require("../config-commander/ConfigNamespace");
+
+/**
+ * Forced Actions Module
+ *
+ * Provides the `$Force` entry, which will place its text into the front memory
+ * when it matches the recent action history.  This covertly injects text in
+ * front of the player's input, nudging the AI toward some kind of outcome.
+ *
+ * After it is used, the entry will go on cooldown for a number of turns, like
+ * any other entry tuned with a cooldown.
+ */
+
+/**
+ * Does some global setup for this module.
+ *
+ * @type {BundledModifierFn}
+ */
+const init = (data) => {
+  const { EngineEntryForWorldInfo } = require("../state-engine/EngineEntryForWorldInfo");
+
+  const config = ConfigNamespace.fetch(data, "forced-actions", {
+    /** The number of turns an entry must wait before it can be used again. */
+    cooldown: 10,
+    /** The number of the latest actions to look for matches in. */
+    recentActions: 3
+  });
+
+  /**
+   * When this state matches the most recent history entries, it will provide
+   * text for the Front Memory.  Use it to force the AI to do something when
+   * certain keywords or topics are detected.
+   *
+   * Note: if something else is setting the Front Memory before State Engine
+   * runs, this entry won't even be considered for matching.
+   *
+   * Supports matching through:
+   * - Keywords
+   * - Relations
+   */
+  class ForceEntry extends EngineEntryForWorldInfo {
+    /**
+     * @param {WorldInfoEntry} worldInfo
+     * @param {Context["config"]} config
+     */
+    constructor(worldInfo, config) {
+      super(worldInfo, config);
+
+      /**
+       * The number of history sources this entry was able to match.
+       */
+      this.historyMatches = 0;
+    }
+
+    static get forType() { return "Force"; }
+    get targetSources() { return tuple("frontMemory", "history"); }
+
+    /**
+     * The number of turns this entry will wait after being used before it
+     * can be used again.  A cooldown the entry was tuned with wins over the
+     * configured one.
+     *
+     * @type {number}
+     */
+    get cooldown() {
+      return this.tuning.cooldown ?? Math.max(0, config.get("integer", "cooldown"));
+    }
+
+    validator() {
+      const issues = super.validator();
+      if (this.topics.size > 1)
+        issues.push(`${this.bestName} can have, at most, one topic.`);
+      if (!this.hasInclusiveMatchers)
+        issues.push(`${this.bestName} must have at least one inclusive matcher.`);
+      if (!this.text.trim())
+        issues.push(`${this.bestName} must have text to insert into the front memory.`);
+      return issues;
+    }
+
+    /**
+     * @param {MatchableEntry} matcher
+     * @param {AssociationParamsFor<this>} params
+     * @returns {boolean}
+     */
+    associator(matcher, params) {
+      // Associates for the Front Memory source, exclusively.  An entry that
+      // was used recently is cooling down and never gets this far.
+      if (isParamsFor("frontMemory", params)) return true;
+
+      // We're only interested in the most recent actions.  The history iterator
+      // may split actions into lines or sentences, or join them together, so
+      // check the latest action the text came from rather than `params.source`.
+      // We'll increment `historyMatches` if we match one.
+      const recentActions = Math.max(1, config.get("integer", "recentActions"));
+      if (params.entry.sources.end.source >= recentActions) return false;
+      if (!this.checkConditions(matcher, params)) return false;
+      if (!this.checkKeywords(matcher, params)) return false;
+      if (!this.checkRelations(matcher, params)) return false;
+      this.historyMatches += 1;
+      this.recordTopicUsage(params);
+
+      // We're not associating with history entries, just matching against them.
+      return false;
+    }
+
+    valuator() {
+      // Give 10 points for every history entry matched.  If we matched no
+      // entries, our score will be `0` and the association will be dropped.
+      return 10 * this.historyMatches;
+    }
+  }
+
+  addStateEntry(ForceEntry);
+};
+
+/**
+ * A forced action is only meant to be in front of the player's input for a
+ * single turn.  If the front memory still contains the text a `$Force` entry
+ * placed there, it gets cleared so State-Engine can make a new selection.
+ *
+ * If something else changed the front memory, we'll leave it alone.
+ *
+ * @type {BundledModifierFn}
+ */
+const clearSpentFrontMemory = (data) => {
+  const { state } = data;
+  const { $$forcedFrontMemory } = state;
+  if ($$forcedFrontMemory == null) return;
+
+  delete state.$$forcedFrontMemory;
+  const { frontMemory } = state.memory;
+  if (!frontMemory) return;
+  if (hashText(frontMemory) !== $$forcedFrontMemory) return;
+  delete state.memory.frontMemory;
+};
+
+/** @type {StateModule} */
+exports.stateModule = {
+  pre: [init, clearSpentFrontMemory]
+};
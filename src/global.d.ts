@@ -35,6 +35,7 @@ declare interface WorldInfoEntry {
   favorite: boolean;
   tags: string[];
   factionName: string | null;
+  hidden?: boolean;
 }
 
 declare interface QuestInfo {
@@ -134,9 +135,11 @@ declare const state: GameState;
 declare const memory: string;
 declare const history: ReadonlyArray<readonly HistoryEntry>;
 declare const worldInfo: ReadonlyArray<readonly WorldInfoEntry>;
-declare const quests: Array<QuestInfo>;
 */
 
+/** AI Dungeon's quests.  It may not be defined, so check it with `typeof` first. */
+declare const quests: Array<QuestInfo>;
+
 declare function addWorldEntry(keys: string, entry: string, hidden: boolean = false);
 declare function removeWorldEntry(index: number);
 declare function updateWorldEntry(index: number, keys: string, entry: string, hidden: boolean = false);
@@ -187,7 +190,7 @@ declare module "aid-bundler/src/aidData" {
     finalizeOutput(): ModifierResult;
 
     /** Get or set a message to display to the player. */
-    message: string;
+    message: string | MultiplayerMessage;
 
     /** The current number of actions, between both the player and AI. */
     get actionCount(): GameInfo["actionCount"];
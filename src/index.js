@@ -1,11 +1,15 @@
 const { Pipeline } = require("aid-bundler");
 const { SimpleCommand } = require("./commands");
 const { shutUpTS } = require("./utils");
+const inputMode = require("./input-mode");
 const authorsManual = require("./authors-manual");
 const configCommander = require("./config-commander");
 const stateEngine = require("./state-engine");
 const deepState = require("./deep-state");
 const director = require("./director");
+const forcedActions = require("./forced-actions");
+const totalRecall = require("./total-recall");
+const quests = require("./quests");
 const contextMode = require("./context-mode");
 const commonModes = require("./common-context-modes");
 const annotatedMode = require("./annotated-context-mode");
@@ -105,15 +109,22 @@ pipeline.commandHandler.addCommand(new SimpleCommand(
   })
 );
 
+inputMode.addPlugin(pipeline);
+
 authorsManual.addPlugin(pipeline);
 
 configCommander.addPlugin(pipeline);
 
+quests.addPlugin(pipeline);
+
 stateEngine.addPlugin(pipeline, {
   historyIterator: perLineIterator,
   modules: [
     deepState.stateModule,
-    director.stateModule
+    director.stateModule,
+    forcedActions.stateModule,
+    totalRecall.stateModule,
+    quests.stateModule
   ]
 });
 
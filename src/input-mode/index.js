@@ -0,0 +1,191 @@
+/// <reference path="./input-mode.d.ts" />
+const { Plugin } = require("aid-bundler");
+const { memoize, escapeRegExp } = require("../utils");
+
+/**
+ * Matches the speech of a `say` input, following the subject.  AI Dungeon
+ * formats these like `> You say "Hello."`, but the quotes may also be curly.
+ *
+ * Capture group `1` contains the speech, without the quotation marks.
+ */
+const reSpeech = /^\s+says?\s*,?\s*["“]([\s\S]*?)["”]?\s*$/i;
+
+/**
+ * Matches a `say` input by someone that is not a known character.
+ *
+ * Capture group `1` contains the speech, without the quotation marks.
+ */
+const reUnknownSpeech = /^\s*>\s*\S[\s\S]*?\s+says?\s*,?\s*["“]([\s\S]*?)["”]?\s*$/i;
+
+/** Matches the `>` that AI Dungeon starts `do` and `say` inputs with. */
+const reActionPrefix = /^\s*>/;
+
+/**
+ * Builds a matcher for the subject of an action, from the names of the characters,
+ * separated by new-lines.
+ *
+ * Capture group `1` contains the subject; group `2` contains everything after it.
+ */
+const buildSubjectMatcher = memoize(
+  /**
+   * @param {string} namesKey
+   * @returns {RegExp}
+   */
+  (namesKey) => {
+    const subjects = ["you", ...namesKey.split("\n").filter(Boolean)]
+      // Longer names first, so "Mary Jane" is preferred over "Mary".
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|");
+    return new RegExp(`^\\s*>\\s*(${subjects})(?!\\w)([\\s\\S]*)$`, "i");
+  }
+);
+
+/**
+ * Gets the names of the player-characters of the adventure.
+ *
+ * @param {import("aid-bundler/src/aidData").AIDData} data
+ * @returns {string[]}
+ */
+exports.getCharacterNames = (data) => data.characters
+  .map((pi) => pi.name?.trim())
+  .filter(/** @type {(name: Maybe<string>) => name is string} */ (name) => Boolean(name));
+
+/**
+ * Works out how some text was submitted, from the formatting AI Dungeon gives
+ * the input.
+ * - Empty text is a `continue`.
+ * - Text starting with `>` is a `do`, unless the subject `says` something in
+ *   quotes, which makes it a `say`.
+ * - Anything else is a `story`.
+ *
+ * When the subject is "you", the input is in the second person and is attributed
+ * to the only character, if there is exactly one.  When it is the name of a
+ * character, it is in the third person and attributed to that character.
+ *
+ * @param {string} text
+ * The text of the input.
+ * @param {readonly string[]} characters
+ * The names of the player-characters.
+ * @param {InputModeType} [knownMode]
+ * The mode, if it is already known, like it is for the entries of the history.
+ * The text is then only examined for the character and speech.
+ * @returns {InputMode}
+ */
+exports.classifyInput = (text, characters, knownMode) => {
+  /** @type {(mode: InputModeType) => InputMode} */
+  const toNoActor = (mode) => ({ mode, character: undefined, person: undefined, speech: undefined });
+
+  if (knownMode === "story" || knownMode === "continue") return toNoActor(knownMode);
+  if (!knownMode && !text.trim()) return toNoActor("continue");
+  if (!reActionPrefix.test(text)) return toNoActor(knownMode ?? "story");
+
+  const subjectMatch = buildSubjectMatcher(characters.join("\n")).exec(text);
+  if (!subjectMatch) {
+    // Someone we don't know of; we can still tell if they were speaking.
+    const [, speech] = reUnknownSpeech.exec(text) ?? [];
+    const mode = knownMode ?? (speech != null ? "say" : "do");
+    return { ...toNoActor(mode), speech };
+  }
+
+  const [, subject, remainder] = subjectMatch;
+  const [, speech] = reSpeech.exec(remainder) ?? [];
+  const mode = knownMode ?? (speech != null ? "say" : "do");
+
+  if (subject.toLowerCase() === "you") {
+    const character = characters.length === 1 ? characters[0] : undefined;
+    return { mode, character, person: "second", speech };
+  }
+
+  const lowerSubject = subject.toLowerCase();
+  const character = characters.find((name) => name.toLowerCase() === lowerSubject);
+  return { mode, character, person: "third", speech };
+};
+
+/**
+ * Gets how the latest input was submitted.  In the input phase, that is the
+ * text given to the input modifier; otherwise, it is the latest entry of the
+ * history.
+ *
+ * The result is also available as `data.inputMode`, once this plugin has run.
+ *
+ * @param {import("aid-bundler/src/aidData").AIDData} data
+ * @returns {InputMode}
+ */
+exports.getInputMode = (data) => {
+  if (data.inputMode) return data.inputMode;
+
+  const characters = exports.getCharacterNames(data);
+  if (data.phase === "input") {
+    data.inputMode = exports.classifyInput(data.givenText, characters);
+    return data.inputMode;
+  }
+
+  const latestEntry = data.history[data.history.length - 1];
+  data.inputMode = latestEntry
+    ? exports.classifyInput(latestEntry.text, characters, latestEntry.type)
+    : exports.classifyInput("", characters, "story");
+  return data.inputMode;
+};
+
+/**
+ * Gets the command from an input that a character gave in the third person,
+ * like `> Taleir /state-engine report`, which is how AI Dungeon formats commands
+ * entered as a `do` in multiplayer.
+ *
+ * @param {string} text
+ * The text of the input.
+ * @param {readonly string[]} characters
+ * The names of the player-characters.
+ * @param {string} commandPrefix
+ * The prefix commands start with.
+ * @returns {string | undefined}
+ * The text of the command, or `undefined` if it was not a character's command.
+ */
+exports.commandOfCharacter = (text, characters, commandPrefix) => {
+  const subjectMatch = buildSubjectMatcher(characters.join("\n")).exec(text);
+  if (!subjectMatch) return undefined;
+
+  // AID-Bundler already understands commands given as "you".
+  const [, subject, remainder] = subjectMatch;
+  if (subject.toLowerCase() === "you") return undefined;
+
+  const commandText = remainder.trim();
+  return commandText.startsWith(commandPrefix) ? commandText : undefined;
+};
+
+/**
+ * Creates and adds this plugin to an AID-Bundler `Pipeline`.  It should be
+ * added before any plugin that wants to use `data.inputMode`.
+ *
+ * Commands are run before any plugin, so they should use `getInputMode` instead.
+ *
+ * AID-Bundler only recognizes commands given as `/cmd` or `> You /cmd`, so this
+ * also lets the command handler recognize commands a character gave in the
+ * third person.  The character is still known to `getInputMode`, since it works
+ * from `data.givenText`.
+ *
+ * @param {import("aid-bundler").Pipeline} pipeline
+ * The `Pipeline` to add to.
+ */
+exports.addPlugin = (pipeline) => {
+  const { commandHandler } = pipeline;
+  const checkCommand = commandHandler.checkCommand.bind(commandHandler);
+  commandHandler.checkCommand = (data) => {
+    const characters = exports.getCharacterNames(data);
+    const commandText = exports.commandOfCharacter(data.text, characters, commandHandler.commandPrefix);
+    if (commandText == null) return checkCommand(data);
+
+    const originalText = data.text;
+    data.text = commandText;
+    const command = checkCommand(data);
+    if (!command) data.text = originalText;
+    return command;
+  };
+
+  pipeline.addPlugin(new Plugin("Input-Mode",
+    exports.getInputMode,
+    exports.getInputMode,
+    exports.getInputMode
+  ));
+};
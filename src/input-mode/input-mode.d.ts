@@ -0,0 +1,24 @@
+/** The ways a player can submit an input to AI Dungeon. */
+type InputModeType = "do" | "say" | "story" | "continue";
+
+/** What could be learned about how an input was submitted. */
+interface InputMode {
+  /** The mode the input was submitted with. */
+  mode: InputModeType;
+  /** The character that performed a `do` or `say` input, if it could be determined. */
+  character: string | undefined;
+  /**
+   * Whether a `do` or `say` input was written in the second person, like
+   * `> You walk.`, or the third person, like `> Taleir walks.`
+   */
+  person: "second" | "third" | undefined;
+  /** The quoted speech of a `say` input, without its quotation marks. */
+  speech: string | undefined;
+}
+
+declare module "aid-bundler/src/aidData" {
+  interface AIDData {
+    /** How the latest input was submitted; see `getInputMode`. */
+    inputMode: InputMode;
+  }
+}
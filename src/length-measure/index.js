@@ -0,0 +1,60 @@
+/// <reference path="./length-measure.d.ts" />
+const { estimateTokens } = require("./tokens");
+const getConfig = require("../state-engine/config");
+
+/** The rough number of characters in a token of English text. */
+const CHARS_PER_TOKEN = 4;
+
+/** @type {Map<string, LengthMeasure>} */
+const registeredMeasures = new Map();
+
+/**
+ * Registers a `LengthMeasure`, so it can be selected with the
+ * `state-engine.lengthMeasure` configuration.
+ *
+ * @param {LengthMeasure} measure
+ * @returns {void}
+ */
+exports.addLengthMeasure = (measure) => {
+  registeredMeasures.set(measure.name.toLowerCase(), measure);
+};
+
+/**
+ * Measures text by its characters.  This is how AI Dungeon itself limits the
+ * context and is the default.
+ *
+ * @type {LengthMeasure}
+ */
+exports.characters = Object.freeze({
+  name: "characters",
+  lengthOf: (text) => text.length,
+  fromCharacters: (chars) => chars
+});
+
+/**
+ * Measures text by an estimate of the tokens the AI will see.  Budgets given
+ * in characters are converted assuming a typical token of English text.
+ *
+ * @type {LengthMeasure}
+ */
+exports.tokens = Object.freeze({
+  name: "tokens",
+  lengthOf: estimateTokens,
+  fromCharacters: (chars) => Math.floor(chars / CHARS_PER_TOKEN)
+});
+
+exports.addLengthMeasure(exports.characters);
+exports.addLengthMeasure(exports.tokens);
+
+/**
+ * Gets the `LengthMeasure` selected by the `state-engine.lengthMeasure`
+ * configuration.  Falls back to measuring characters if no measure by that
+ * name was registered.
+ *
+ * @param {import("aid-bundler/src/aidData").AIDData} aidData
+ * @returns {LengthMeasure}
+ */
+exports.getLengthMeasure = (aidData) => {
+  const name = getConfig(aidData).get("string", "lengthMeasure");
+  return registeredMeasures.get(name.trim().toLowerCase()) ?? exports.characters;
+};
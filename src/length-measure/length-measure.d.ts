@@ -0,0 +1,9 @@
+/** A way of measuring the length of text for the purposes of budgeting the context. */
+interface LengthMeasure {
+  /** The name used to select this measure with `state-engine.lengthMeasure`. */
+  name: string;
+  /** Measures the length of some text. */
+  lengthOf(text: string): number;
+  /** Converts a budget given in characters, like `info.maxChars`, into this measure's units. */
+  fromCharacters(chars: number): number;
+}
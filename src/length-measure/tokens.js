@@ -0,0 +1,49 @@
+/**
+ * The pattern GPT-2 uses to split text into pieces before it applies its
+ * byte-pair encoding.  Merges never cross from one piece into another, so
+ * each piece can be estimated on its own.
+ */
+const rePieces = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+/** Matches the letters that are likely to be merged with their neighbors. */
+const reAsciiLetters = /[a-z]/gi;
+
+/**
+ * Estimates the tokens in a single piece of text.
+ *
+ * - Words of up to 7 letters are assumed to be a single token, with another
+ *   token for every 4 letters after that.
+ * - Letters outside of ASCII are assumed to be a token each.
+ * - Numbers, punctuation, and white-space are assumed to merge in pairs.
+ *
+ * @param {string} piece
+ * @returns {number}
+ */
+const estimatePiece = (piece) => {
+  const text = piece.startsWith(" ") && piece.length > 1 ? piece.slice(1) : piece;
+  if (/^\p{L}/u.test(text)) {
+    const asciiCount = text.match(reAsciiLetters)?.length ?? 0;
+    const otherCount = text.length - asciiCount;
+    const asciiTokens = asciiCount > 0 ? Math.max(1, Math.ceil((asciiCount - 3) / 4)) : 0;
+    return asciiTokens + otherCount;
+  }
+  // Contractions, like `'ll`, are always a single token.
+  if (text.startsWith("'") && text.length <= 3 && /^'[a-z]+$/.test(text)) return 1;
+  return Math.ceil(text.length / 2);
+};
+
+/**
+ * Estimates how many tokens GPT-2's tokenizer would produce for some text.
+ * This is only an approximation, as the vocabulary is far too large to bundle
+ * into a script, but it follows GPT-2's rules for splitting the text up and
+ * is a much better guess than counting characters.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+exports.estimateTokens = (text) => {
+  if (!text) return 0;
+  let count = 0;
+  for (const [piece] of text.matchAll(rePieces)) count += estimatePiece(piece);
+  return count;
+};
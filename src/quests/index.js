@@ -0,0 +1,231 @@
+/// <reference path="./quests.d.ts" />
+/// <reference path="../state-engine/state-engine.d.ts" />
+const { SimpleCommand } = require("../commands");
+const { tuple, chain } = require("../utils");
+const { addStateEntry } = require("../state-engine/registry");
+const { stateDataString } = require("../state-engine/utils");
+
+/**
+ * Quests Module
+ *
+ * Provides the `$Quest` entry, which is tied to AI Dungeon's quests instead
+ * of the text of the story.  Its keywords are matched against the text of the
+ * quests and, while a matching quest is active, the entry is included in the
+ * context and its topics are held in context for the relations of other entries.
+ * Once the quest is completed, it can provide different text instead.
+ *
+ * Also provides the `/quests` command to list the quests and their entries.
+ */
+
+/** A line with only this on it separates the active text from the completion text. */
+const reCompletionSeparator = /^\s*---\s*$/m;
+
+/**
+ * Gets the quests AI Dungeon has provided to the script.  They are provided
+ * through a global variable, so this will be empty when it is not available.
+ *
+ * @returns {QuestInfo[]}
+ */
+exports.getQuests = () =>
+  typeof quests !== "undefined" && Array.isArray(quests) ? quests : [];
+
+/**
+ * Determines the status of an entry from the quests it is linked to.
+ *
+ * @param {Iterable<QuestInfo>} linkedQuests
+ * @returns {QuestStatus}
+ */
+const statusOf = (linkedQuests) => {
+  let status = /** @type {QuestStatus} */ ("inactive");
+  for (const quest of linkedQuests) {
+    if (quest.active && !quest.completed) return "active";
+    if (quest.completed) status = "completed";
+  }
+  return status;
+};
+
+/**
+ * Does some global setup for this module.
+ *
+ * @type {BundledModifierFn}
+ */
+const init = () => {
+  const { EngineEntryForWorldInfo } = require("../state-engine/EngineEntryForWorldInfo");
+
+  /**
+   * An entry tied to one or more of AI Dungeon's quests.  Its keywords are
+   * matched against the text of each quest to find the quests it belongs to.
+   *
+   * Its text may be split by a line containing only `---`.  The text before
+   * it is used while a quest is active and the text after it is used once
+   * the quest has been completed.
+   */
+  class QuestEntry extends EngineEntryForWorldInfo {
+    /**
+     * @param {WorldInfoEntry} worldInfo
+     * @param {Context["config"]} config
+     */
+    constructor(worldInfo, config) {
+      super(worldInfo, config);
+
+      /**
+       * The quests this entry's keywords matched.
+       *
+       * @type {QuestInfo[]}
+       */
+      this.linkedQuests = [];
+    }
+
+    static get forType() { return "Quest"; }
+    get targetSources() { return tuple("implicit"); }
+    get priority() { return 60; }
+
+    /** @type {QuestStatus} */
+    get questStatus() {
+      return statusOf(this.linkedQuests);
+    }
+
+    /**
+     * The text appropriate for the entry's current status.
+     *
+     * @type {string}
+     */
+    get text() {
+      const [activeText, completedText = ""] = super.text.split(reCompletionSeparator);
+      switch (this.questStatus) {
+        case "active": return activeText.trim();
+        case "completed": return completedText.trim();
+        default: return "";
+      }
+    }
+
+    /**
+     * While a quest is active, the entry's topics are held in context.
+     *
+     * @type {string[]}
+     */
+    get heldTopics() {
+      return this.questStatus === "active" ? [...this.topics] : [];
+    }
+
+    validator() {
+      const issues = super.validator();
+      if (!this.topics.size)
+        issues.push(`${this.bestName} must have at least one topic.`);
+      if (!this.hasInclusiveKeywords)
+        issues.push(`${this.bestName} requires at least one keyword to find its quests.`);
+      if (this.relations.length)
+        issues.push(`${this.bestName} cannot have relation matchers.`);
+      if (this.conditions.length)
+        issues.push(`${this.bestName} cannot have conditions.`);
+      return issues;
+    }
+
+    /**
+     * Links the entry to the quests that its keywords match.
+     */
+    modifier() {
+      const matcher = this.toMatchable();
+      this.linkedQuests = exports.getQuests().filter((quest) => {
+        if (matcher.hasExcludedWords(quest.quest)) return false;
+        return matcher.hasIncludedWords(quest.quest);
+      });
+    }
+
+    /**
+     * Only associates while it has text for its status.
+     *
+     * @returns {boolean}
+     */
+    associator() {
+      return Boolean(this.text);
+    }
+
+    /**
+     * Active quests are given a flat score a little higher than a `$Scene`.
+     * Completed quests are still worth mentioning, but less so.
+     *
+     * @returns {number}
+     */
+    valuator() {
+      return this.questStatus === "active" ? 45 : 20;
+    }
+
+    /**
+     * Stores the text and quests, so they can be used by context-modes and
+     * the `/quests` command.
+     *
+     * @returns {QuestEngineData}
+     */
+    toJSON() {
+      return {
+        ...super.toJSON(),
+        type: "Quest",
+        text: this.text,
+        questStatus: this.questStatus,
+        questIds: this.linkedQuests.map((quest) => quest.id)
+      };
+    }
+  }
+
+  addStateEntry(QuestEntry);
+};
+
+/**
+ * @param {StateEngineData} entry
+ * @returns {entry is QuestEngineData}
+ */
+const isQuestData = (entry) => entry.type === "Quest" && "questIds" in entry;
+
+/**
+ * Describes a quest for the user.
+ *
+ * @param {QuestInfo} quest
+ * @returns {string}
+ */
+const describeQuest = (quest) => {
+  const status
+    = quest.completed ? "Completed"
+    : quest.active ? "Active"
+    : "Inactive";
+  return `${status}: ${quest.quest.trim()} (${quest.id})`;
+};
+
+exports.commands = [
+  // Lists the quests and the `$Quest` entries that were linked to them on the
+  // latest turn.
+  new SimpleCommand("quests", (data) => {
+    const theQuests = exports.getQuests();
+    if (theQuests.length === 0) return "There are no quests.";
+
+    const questEntries = chain(Object.values(data.state.$$stateDataCache ?? {}))
+      .filter(isQuestData)
+      .toArray();
+
+    return theQuests
+      .map((quest) => {
+        const linked = questEntries
+          .filter((entry) => entry.questIds.includes(quest.id))
+          .map((entry) => `\t${stateDataString(entry)} (${entry.questStatus})`);
+        if (linked.length === 0) linked.push("\t(No linked entries.)");
+        return [describeQuest(quest), ...linked].join("\n");
+      })
+      .join("\n");
+  })
+];
+
+/** @type {StateModule} */
+exports.stateModule = {
+  pre: [init]
+};
+
+/**
+ * Adds this module's commands to an AID-Bundler `Pipeline`.  Its `stateModule`
+ * must still be given to State-Engine.
+ *
+ * @param {import("aid-bundler").Pipeline} pipeline
+ */
+exports.addPlugin = (pipeline) => {
+  for (const cmd of exports.commands)
+    pipeline.commandHandler.addCommand(cmd);
+};
@@ -0,0 +1,15 @@
+/**
+ * The status of a `$Quest` entry, determined by the quests it is linked to.
+ * - `"inactive"` - None of its quests are active or completed.
+ * - `"active"` - At least one of its quests is active and not yet completed.
+ * - `"completed"` - None of its quests are active, but at least one was completed.
+ */
+type QuestStatus = "inactive" | "active" | "completed";
+
+interface QuestEngineData extends EngineDataForWorldInfo {
+  type: "Quest";
+  /** The status of the entry when it was last processed. */
+  questStatus: QuestStatus;
+  /** The IDs of the quests the entry was linked to when it was last processed. */
+  questIds: string[];
+}
@@ -0,0 +1,100 @@
+/// <reference path="./state-engine.d.ts" />
+const { CONDITION_KINDS: { HAS, STAT, SKILL } } = require("./parsers/checks");
+
+/**
+ * Finds a value in a record by its key, ignoring case.
+ * 
+ * @param {Maybe<Record<string, number>>} record
+ * @param {string} key
+ * @returns {number}
+ */
+const getIgnoringCase = (record, key) => {
+  if (!record) return 0;
+  if (key in record) return record[key];
+  const lowerKey = key.toLowerCase();
+  for (const [otherKey, value] of Object.entries(record))
+    if (otherKey.toLowerCase() === lowerKey) return value;
+  return 0;
+};
+
+/**
+ * Class that checks the conditions of entries, like `%has:Lantern` or
+ * `%stat:strength>=5`, against the game-state.
+ * 
+ * Names of items, stats, and skills are compared without regard to case.
+ * Anything that can't be found is treated as having a quantity or level of `0`.
+ */
+class ConditionChecker {
+  /**
+   * @param {Partial<Pick<GameState, "inventory" | "stats" | "skills">>} [gameState]
+   */
+  constructor(gameState = {}) {
+    /** @type {Map<string, number>} The quantity of each item, by its lower-cased name. */
+    this.inventory = new Map();
+    for (const item of gameState.inventory ?? []) {
+      const name = item.name.toLowerCase();
+      this.inventory.set(name, (this.inventory.get(name) ?? 0) + item.quantity);
+    }
+
+    /** @type {Record<string, number>} The level of each stat. */
+    this.stats = {};
+    for (const [name, stat] of Object.entries(gameState.stats?.stats ?? {}))
+      this.stats[name] = stat.level;
+
+    /** @type {Record<string, number>} The level of each skill. */
+    this.skills = { ...gameState.skills };
+  }
+
+  /**
+   * Gets the value a condition should compare against.
+   * 
+   * @param {ConditionDef} condition
+   * @returns {number}
+   */
+  valueFor(condition) {
+    switch (condition.kind) {
+      case HAS: return this.inventory.get(condition.name.toLowerCase()) ?? 0;
+      case STAT: return getIgnoringCase(this.stats, condition.name);
+      case SKILL: return getIgnoringCase(this.skills, condition.name);
+      default: return 0;
+    }
+  }
+
+  /**
+   * Checks a single condition.
+   * 
+   * @param {ConditionDef} condition
+   * @returns {boolean}
+   */
+  check(condition) {
+    const actual = this.valueFor(condition);
+    const { value } = condition;
+    switch (condition.comparison) {
+      case ">=": return actual >= value;
+      case "<=": return actual <= value;
+      case "!=": return actual !== value;
+      case ">": return actual > value;
+      case "<": return actual < value;
+      case "=": return actual === value;
+      default: return false;
+    }
+  }
+
+  /**
+   * Checks that every one of the given conditions is satisfied.  An empty
+   * list of conditions is always satisfied.
+   * 
+   * @param {Iterable<ConditionDef>} conditions
+   * @returns {boolean}
+   */
+  checkAll(conditions) {
+    for (const condition of conditions)
+      if (!this.check(condition)) return false;
+    return true;
+  }
+}
+
+exports.ConditionChecker = ConditionChecker;
+
+/** A checker for an empty game-state; it has nothing and knows nothing. */
+exports.nilConditionChecker = new ConditionChecker();
@@ -49,10 +49,11 @@ class EngineEntryForWorldInfo extends StateEngineEntry {
         }
         if (err instanceof ParsingError) {
           // Something happened in the parser combinators.  The user needs to
-          // fix something in this entry.
+          // fix something in this entry.  Every entry type will run into the
+          // same problem, so only report it once.
           const renderAs = worldInfoString(info);
           const issues = validationIssues.get(renderAs) ?? [];
-          issues.push(err.details);
+          if (!issues.includes(err.details)) issues.push(err.details);
           validationIssues.set(renderAs, issues);
           continue;
         }
@@ -134,6 +135,14 @@ class EngineEntryForWorldInfo extends StateEngineEntry {
     const topics = extractor.topics(worldInfo) ?? [];
     const keywords = extractor.keywords(worldInfo) ?? [];
     const relations = extractor.relations(worldInfo) ?? [];
+    const conditions = extractor.conditions(worldInfo) ?? [];
+    const lifetime = extractor.lifetime(worldInfo);
+    const tuning = {
+      priority: extractor.priority(worldInfo),
+      bias: extractor.bias(worldInfo),
+      sources: extractor.sources(worldInfo),
+      cooldown: extractor.cooldown(worldInfo)
+    };
 
     if (!parsedType)
       throw new BadStateEntryError(
@@ -152,7 +161,7 @@ class EngineEntryForWorldInfo extends StateEngineEntry {
 
     return {
       type: ctor.forType,
-      topics, keywords, relations
+      topics, keywords, relations, conditions, lifetime, tuning
     };
   }
 
@@ -25,6 +25,78 @@ const keywordPattern = (kw, exactMatch = false) => {
   return `(?:\\b)${escapeRegExp(kw.trim())}(?:\\b)`
 };
 
+/**
+ * Pattern for one of the terms of a compound keyword.  Unlike a normal keyword,
+ * the remainder of a partially matched word is consumed, so that only whole
+ * words sit between the two terms.
+ * 
+ * @param {CompoundKeywordTerm} term
+ * @returns {string}
+ */
+const termPattern = (term) => {
+  const pattern = keywordPattern(term.value, term.exactMatch);
+  return term.exactMatch ? pattern : `${pattern}\\w*`;
+};
+
+/**
+ * Pattern to create a matcher from a compound keyword.  The terms may be
+ * found in either order and whatever is between them is captured, in the
+ * first group when in the written order and the second group when reversed.
+ * 
+ * - `"near"` - Allows up to `distance - 1` words between the terms.
+ * - `"sentence"` - Allows anything but sentence-ending punctuation or a
+ *   new line between the terms.
+ * 
+ * @param {CompoundKeywordDef} compound
+ * @returns {string}
+ */
+const compoundPattern = (compound) => {
+  const [left, right] = compound.terms.map(termPattern);
+  const between = compound.operator === "near"
+    ? `((?:\\W+\\w+){0,${(compound.distance ?? 1) - 1}}?)\\W+`
+    : "([^.!?\\n]*?)";
+  return `${left}${between}${right}|${right}${between}${left}`;
+};
+
+/**
+ * Determines how tightly the terms of a compound keyword were found together
+ * in the text.  Terms right next to each other give `1` and this approaches
+ * `0` as more words get between them.  Only the tightest match counts.
+ * 
+ * @param {string} text
+ * @param {RegExp} regex
+ * @returns {number}
+ */
+const compoundTightness = (text, regex) => {
+  let best = 0;
+  for (const match of text.matchAll(regex)) {
+    const between = match[1] ?? match[2] ?? "";
+    best = Math.max(best, 1 / (1 + countOccurrences(between, /\w+/g)));
+  }
+  return best;
+};
+
+/**
+ * Builds the regular expression for a keyword.  Keywords that are regular
+ * expressions are used as-is, but always with the global flag.
+ * 
+ * @param {AnyKeywordDef} kw
+ * @returns {RegExp}
+ */
+const keywordRegex = (kw) => {
+  if (kw.compound != null) return new RegExp(compoundPattern(kw.compound), "ig");
+  if (kw.regexFlags != null) return new RegExp(kw.value, `${kw.regexFlags}g`);
+  return new RegExp(keywordPattern(kw.value, kw.exactMatch), "ig");
+};
+
+/**
+ * Describes a keyword for the user.
+ * 
+ * @param {AnyKeywordDef} kw
+ * @returns {string}
+ */
+const keywordString = (kw) => kw.regexFlags != null ? `/${kw.value}/${kw.regexFlags}` : kw.value;
+
 /**
  * Memoized counting function to speed up regular-expression matching with
  * repeated keywords.  Create one of these whenever keyword counting
@@ -36,7 +108,8 @@ const memoizedCounter = () => {
   const store = new Map();
 
   return (str, regex) => {
-    const regexKey = regex.source;
+    // The flags matter; `/fox/` and `/fox/i` will match different things.
+    const regexKey = `${regex.source}/${regex.flags}`;
     const regexBin = store.get(regexKey) || new Map();
     const storedCount = regexBin.get(str);
     if (typeof storedCount === "number") return storedCount;
@@ -61,23 +134,22 @@ class MatchableEntry {
   /**
    * @param {StateEngineEntry} stateEntry
    * @param {ReturnType<memoizedCounter>} [matchCounter]
+   * @param {AssociationTargets[] | null} [targets]
+   * The sources to associate with; defaults to the entry's `targetSources`.
    */
-  constructor(stateEntry, matchCounter) {
+  constructor(stateEntry, matchCounter, targets = stateEntry.targetSources) {
     this.stateEntry = stateEntry;
     this.matchCounter = matchCounter ?? memoizedCounter();
 
     // Cache the `targetSources` as a `Set`, since it is a getter property.
-    const targets = stateEntry.targetSources;
     this.targetSources = targets ? new Set(targets) : defaultTargets;
 
     // @ts-ignore - TS is stupid with defaults in destructuring.
     // It's still typing correctly, though.
     const { include = [], exclude = [] } = chain(stateEntry.keywords)
       .map((kw) => {
-        if (isInclusiveKeyword(kw))
-          return tuple("include", new RegExp(keywordPattern(kw.value, kw.exactMatch), "ig"));
-        if (isExclusiveKeyword(kw))
-          return tuple("exclude", new RegExp(keywordPattern(kw.value, kw.exactMatch), "ig"));
+        if (isInclusiveKeyword(kw)) return tuple("include", keywordRegex(kw));
+        if (isExclusiveKeyword(kw)) return tuple("exclude", keywordRegex(kw));
         throw new Error(`Unknown keyword type: ${kw.type}`);
       })
       .thru((kvps) => partition(kvps))
@@ -85,6 +157,9 @@ class MatchableEntry {
 
     this.include = include;
     this.exclude = exclude;
+    this.compounds = stateEntry.keywords
+      .filter((kw) => kw.compound != null && isInclusiveKeyword(kw))
+      .map(keywordRegex);
   }
 
   get text() {
@@ -132,6 +207,50 @@ class MatchableEntry {
     return count;
   }
 
+  /**
+   * Gets the keywords that were found in the text.  Used to explain why an
+   * entry did or did not match.
+   * 
+   * @param {string | string[]} textOrArr 
+   * @param {"included" | "excluded"} mode
+   * @returns {string[]}
+   */
+  keywordsIn(textOrArr, mode = "included") {
+    const keywords = mode === "included" ? this.include : this.exclude;
+    if (keywords.length === 0 || !textOrArr) return [];
+    // The regular expressions were built in the same order as these.
+    const isOfMode = mode === "included" ? isInclusiveKeyword : isExclusiveKeyword;
+    const keywordDefs = this.stateEntry.keywords.filter(isOfMode);
+    const textArr = typeof textOrArr === "string" ? [textOrArr] : textOrArr;
+    /** @type {Set<string>} */
+    const result = new Set();
+    for (const text of textArr)
+      if (text) for (const [i, keyword] of keywords.entries())
+        if (this.matchCounter(text, keyword) > 0)
+          result.add(keywordString(keywordDefs[i]));
+    return [...result];
+  }
+
+  /**
+   * Sums how tightly each inclusive compound keyword matched in the text.
+   * Each compound keyword contributes a value between `0` and `1`.
+   * 
+   * @param {string | string[]} textOrArr
+   * @returns {number}
+   */
+  tightnessIn(textOrArr) {
+    if (this.compounds.length === 0 || !textOrArr) return 0;
+    const textArr = typeof textOrArr === "string" ? [textOrArr] : textOrArr;
+    let tightness = 0;
+    for (const regex of this.compounds) {
+      let best = 0;
+      for (const text of textArr)
+        if (text) best = Math.max(best, compoundTightness(text, regex));
+      tightness += best;
+    }
+    return tightness;
+  }
+
   /**
    * @param {string | string[]} textOrArr
    * @returns {boolean}
@@ -163,4 +282,7 @@ class MatchableEntry {
 }
 
 exports.MatchableEntry = MatchableEntry;
-exports.memoizedCounter = memoizedCounter;
\ No newline at end of file
+exports.defaultTargets = defaultTargets;
+exports.memoizedCounter = memoizedCounter;
+exports.keywordRegex = keywordRegex;
+exports.keywordString = keywordString;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { chain, partition, fromPairs, tuple } = require("../utils");
 const { setsIntersect, setIsSubsetOf } = require("../utils");
+const { nilTopicResolver } = require("./TopicResolver");
 
 /**
  * Iterates a `usedTopics` map across a range of entries.
@@ -29,33 +30,40 @@ class RelatableEntry {
   /**
    * @param {readonly AnyRelationDef[]} relations
    * @param {number} entryCount
+   * @param {TopicResolver} [topicResolver]
+   * @param {Map<string, number>} [rememberedTopics]
    */
-  constructor(relations, entryCount) {
+  constructor(relations, entryCount, topicResolver = nilTopicResolver, rememberedTopics = new Map()) {
     const { isRelationOfType } = require("./parsers/checks");
 
+    // Relations are stored by their canonical topics, since that is what the
+    // topics being checked will be expanded into.
     const relsByType = chain(relations)
       .map((relDef) => {
+        const topic = topicResolver.canonical(relDef.topic);
         if (isRelationOfType(relDef, "allOf"))
-          return tuple("allOf", relDef.topic);
+          return tuple("allOf", topic);
         if (isRelationOfType(relDef, "atLeastOne"))
-          return tuple("atLeastOne", relDef.topic);
+          return tuple("atLeastOne", topic);
         if (isRelationOfType(relDef, "immediate"))
-          return tuple("immediate", relDef.topic);
+          return tuple("immediate", topic);
         if (isRelationOfType(relDef, "negated"))
-          return tuple("negated", relDef.topic);
+          return tuple("negated", topic);
         throw new Error(`Unknown relation type: ${relDef.type}`);
       })
       .thru((kvps) => partition(kvps))
       .value((kvps) => fromPairs(kvps));
 
     this.entryCount = entryCount;
+    this.topicResolver = topicResolver;
+    this.rememberedTopics = rememberedTopics;
 
     this.allOf = new Set(relsByType.allOf ?? []);
     this.atLeastOne = new Set(relsByType.atLeastOne ?? []);
     this.immediate = new Set(relsByType.immediate ?? []);
     this.negated = new Set(relsByType.negated ?? []);
 
-    this.topicsOfInterest = new Set(relations.map((relDef) => relDef.topic));
+    this.topicsOfInterest = topicResolver.canonicalize(relations.map((relDef) => relDef.topic));
     this.topicsForMatch = new Set([...this.allOf, ...this.atLeastOne, ...this.immediate]);
   }
 
@@ -70,7 +78,7 @@ class RelatableEntry {
    * @returns {boolean}
    */
   isInterestedIn(topicSet) {
-    return setsIntersect(topicSet, this.topicsOfInterest);
+    return setsIntersect(this.topicResolver.expand(topicSet), this.topicsOfInterest);
   }
 
   /**
@@ -84,7 +92,7 @@ class RelatableEntry {
    * @returns {boolean}
    */
   isMemberOf(topicSet) {
-    return setsIntersect(topicSet, this.topicsForMatch);
+    return setsIntersect(this.topicResolver.expand(topicSet), this.topicsForMatch);
   }
 
   /**
@@ -94,6 +102,10 @@ class RelatableEntry {
    * 
    * So, make sure you use `===` with `false` to check for complete failures.
    * 
+   * When the check spans to the end of the working window, topics remembered from
+   * previous turns can satisfy all-of and at-least-one relations, adding how strongly
+   * they are remembered to the count instead of `1`.
+   * 
    * @param {UsedTopicsMap} usedTopicsMap
    * A map of history sources to sets of entry topics.
    * @param {number} start
@@ -106,22 +118,24 @@ class RelatableEntry {
     // Short circuit if we have no relations.
     if (this.topicsOfInterest.size === 0) return 0;
 
-    const usedTopics = new Set(exports.iterUsedTopics(usedTopicsMap, start, end));
+    const { topicResolver } = this;
+    const usedTopics = topicResolver.expand(exports.iterUsedTopics(usedTopicsMap, start, end));
+    const remembered = end >= this.entryCount ? this.rememberedTopics : undefined;
     
     // Check negated relations.
     if (!this.checkNegated(usedTopics)) return false;
     
     // Check at-least-one relations.
-    const atLeastOneCount = this.checkAtLeastOne(usedTopics);
+    const atLeastOneCount = this.checkAtLeastOne(usedTopics, remembered);
     if (atLeastOneCount === false) return false;
 
     // Check all-of relations.
-    const allOfCount = this.checkAllOf(usedTopics);
+    const allOfCount = this.checkAllOf(usedTopics, remembered);
     if (allOfCount === false) return false;
 
     // Check immediate relations.
     // These relations only match the current history entry, which is assumed to be `start`.
-    const immediateCount = this.checkImmediate(new Set(exports.iterUsedTopics(usedTopicsMap, start, start)));
+    const immediateCount = this.checkImmediate(topicResolver.expand(exports.iterUsedTopics(usedTopicsMap, start, start)));
     if (immediateCount === false) return false;
     
     const matchCount = atLeastOneCount + allOfCount + immediateCount;
@@ -135,16 +149,18 @@ class RelatableEntry {
    * 
    * So, make sure you use `===` with `false` to check for complete failures.
    * 
-   * @param {Set<string>} usedTopics
-   * The set of strings to match.
+   * @param {Set<string>} entryTopics
+   * The set of topics to match.
    * @param {boolean} [includeImmediate]
    * If `true`, it will also check immediate relations, disregarding where `usedTopics` was
    * sourced from.  In this case, immediate relations are treated the same as all-of relations.
    * @returns {false | number}
    */
-  checkTopics(usedTopics, includeImmediate = false) {
+  checkTopics(entryTopics, includeImmediate = false) {
     if (this.topicsOfInterest.size === 0) return 0;
-    if (usedTopics.size === 0) return false;
+    if (entryTopics.size === 0) return false;
+
+    const usedTopics = this.topicResolver.expand(entryTopics);
 
     // Check negated relations.
     if (!this.checkNegated(usedTopics)) return false;
@@ -178,27 +194,41 @@ class RelatableEntry {
 
   /**
    * @param {Set<string>} usedTopics
+   * @param {Map<string, number>} [rememberedTopics]
    * @returns {number | false}
    */
-  checkAtLeastOne(usedTopics) {
+  checkAtLeastOne(usedTopics, rememberedTopics) {
     if (this.atLeastOne.size === 0) return 0;
-    if (usedTopics.size === 0) return false;
+    if (usedTopics.size === 0 && !rememberedTopics?.size) return false;
 
     let matchCount = 0;
-    for (const relTopic of this.atLeastOne)
+    for (const relTopic of this.atLeastOne) {
       if (usedTopics.has(relTopic)) matchCount += 1;
+      else matchCount += rememberedTopics?.get(relTopic) ?? 0;
+    }
     return matchCount === 0 ? false : matchCount;
   }
 
   /**
    * @param {Set<string>} usedTopics
+   * @param {Map<string, number>} [rememberedTopics]
    * @returns {number | false}
    */
-  checkAllOf(usedTopics) {
+  checkAllOf(usedTopics, rememberedTopics) {
     if (this.allOf.size === 0) return 0;
-    if (usedTopics.size === 0) return false;
-    if (!setIsSubsetOf(this.allOf, usedTopics)) return false;
-    return this.allOf.size;
+    if (!rememberedTopics?.size) {
+      if (usedTopics.size === 0) return false;
+      if (!setIsSubsetOf(this.allOf, usedTopics)) return false;
+      return this.allOf.size;
+    }
+
+    let matchCount = 0;
+    for (const relTopic of this.allOf) {
+      if (usedTopics.has(relTopic)) matchCount += 1;
+      else if (rememberedTopics.has(relTopic)) matchCount += rememberedTopics.get(relTopic) ?? 0;
+      else return false;
+    }
+    return matchCount;
   }
 
   /**
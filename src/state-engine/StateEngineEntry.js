@@ -24,8 +24,44 @@ class BadStateEntryError extends Error {
  */
 class InvalidTypeError extends BadStateEntryError {}
 
-// A symbol for a private backing field.
+// Symbols for private backing fields.
 const $$relations = Symbol("StateEngineEntry.relations");
+const $$topicResolver = Symbol("StateEngineEntry.topicResolver");
+const $$rememberedTopics = Symbol("StateEngineEntry.rememberedTopics");
+
+/**
+ * Gets the sources an entry's class allows it to be associated with.
+ * 
+ * @param {StateEngineEntry} entry
+ * @returns {AssociationTargets[]}
+ */
+const getClassSources = (entry) => {
+  const { defaultTargets } = require("./MatchableEntry");
+  return entry.targetSources ?? [...defaultTargets];
+};
+
+/**
+ * Gets the priority of an entry, with its tuning applied.  A tuned priority
+ * wins over the one given by the entry's class.
+ * 
+ * @param {StateEngineEntry} entry
+ * @returns {number | undefined}
+ */
+const getTunedPriority = (entry) => entry.tuning.priority ?? entry.priority;
+
+/**
+ * Gets the sources an entry can be associated with, with its tuning applied.
+ * Tuned sources are limited to those the entry's class can use.
+ * 
+ * @param {StateEngineEntry} entry
+ * @returns {AssociationTargets[] | null}
+ */
+const getTunedSources = (entry) => {
+  const { sources } = entry.tuning;
+  if (sources == null) return entry.targetSources;
+  const classSources = getClassSources(entry);
+  return sources.filter((source) => classSources.includes(source));
+};
 
 class StateEngineEntry {
 
@@ -43,12 +79,32 @@ class StateEngineEntry {
     this.relator = require("./RelatableEntry").nilRelatableEntry;
     /** @type {Map<AssociationSources, number>} Storage for relations found per source. */
     this.relationCounts = new Map();
+    /** @type {ConditionDef[]} The entry's conditions on the game-state. */
+    this.conditions = [];
+    /** @type {ConditionChecker} A helper for checking `conditions` against the game-state. */
+    this.conditionChecker = require("./ConditionChecker").nilConditionChecker;
+    /** @type {number | undefined} How many turns the entry lasts once first associated. */
+    this.lifetime = undefined;
+    /** @type {number | undefined} The turn the entry expires on, once it has been associated. */
+    this.expiresOn = undefined;
+    /** Whether the entry's lifetime has run out; an expired entry will not be associated. */
+    this.expired = false;
+    /** @type {EntryTuning} How the author tuned this entry; this takes precedence over its class. */
+    this.tuning = {};
+    /** @type {number | undefined} The turn the entry can be associated again, while cooling down. */
+    this.cooldownEndsOn = undefined;
+    /** Whether the entry is resting after it was selected; it will not be associated. */
+    this.coolingDown = false;
 
     /** @type {import("./config").StateEngineConfig} The State-Engine configuration instance. */
     this.config = config;
 
     /** @type {ReadonlyArray<AnyRelationDef>} Private backing field for `relations`. */
     this[$$relations] = [];
+    /** @type {TopicResolver} Private backing field for `topicResolver`. */
+    this[$$topicResolver] = require("./TopicResolver").nilTopicResolver;
+    /** @type {Map<string, number>} Private backing field for `rememberedTopics`. */
+    this[$$rememberedTopics] = new Map();
   }
 
   /**
@@ -124,6 +180,19 @@ class StateEngineEntry {
     return undefined;
   }
 
+  /**
+   * How many turns this entry rests after it was selected, before it can be
+   * associated again.  Defaults to the cooldown it was tuned with, if any.
+   * 
+   * Classes that give their entries a cooldown of their own should still let
+   * the tuning take precedence.
+   * 
+   * @type {number | undefined}
+   */
+  get cooldown() {
+    return this.tuning.cooldown;
+  }
+
   /**
    * The entry's relations to other topics.
    * 
@@ -136,11 +205,76 @@ class StateEngineEntry {
   }
   set relations(value) {
     this[$$relations] = Object.isFrozen(value) ? value : Object.freeze([...value]);
-    // Update the relator with the new relations.
+    this.updateRelator();
+  }
+
+  /**
+   * The resolver used to relate topics through their aliases and namespaces.
+   * 
+   * Setting this value will automatically update `relator`.
+   * 
+   * @type {TopicResolver}
+   */
+  get topicResolver() {
+    return this[$$topicResolver];
+  }
+  set topicResolver(value) {
+    this[$$topicResolver] = value;
+    this.updateRelator();
+  }
+
+  /**
+   * The topics remembered from previous turns and how strongly they are remembered.
+   * Relations may fall back on these when a topic is not in the working window.
+   * 
+   * Setting this value will automatically update `relator`.
+   * 
+   * @type {Map<string, number>}
+   */
+  get rememberedTopics() {
+    return this[$$rememberedTopics];
+  }
+  set rememberedTopics(value) {
+    this[$$rememberedTopics] = value;
+    this.updateRelator();
+  }
+
+  /**
+   * The topics that should be treated as if they were this entry's first topic.
+   * Only entries that declare aliases, like `$Topic`, will provide these.
+   * 
+   * @type {string[]}
+   */
+  get topicAliases() {
+    return [];
+  }
+
+  /**
+   * The topics this entry keeps in context, regardless of what is in the recent
+   * text.  Relations will treat these as if they were remembered at full strength.
+   * Only entries tied to something outside the story, like `$Quest`, will provide these.
+   * 
+   * Read once the modifiers have run, so it may depend on changes made by `modifier`.
+   * 
+   * @type {string[]}
+   */
+  get heldTopics() {
+    return [];
+  }
+
+  /**
+   * Rebuilds `relator` from the current relations, topic resolver, and
+   * remembered topics.
+   * 
+   * @returns {void}
+   */
+  updateRelator() {
     const relatable = require("./RelatableEntry");
+    const { relations, topicResolver, rememberedTopics } = this;
+    const entryCount = this.config.get("integer", "entryCount");
     this.relator
-      = value.length === 0 ? relatable.nilRelatableEntry
-      : new relatable.RelatableEntry(this.relations, this.config.get("integer", "entryCount"));
+      = relations.length === 0 ? relatable.nilRelatableEntry
+      : new relatable.RelatableEntry(relations, entryCount, topicResolver, rememberedTopics);
   }
 
   /**
@@ -165,7 +299,8 @@ class StateEngineEntry {
   }
 
   /**
-   * Whether this entry has matchers of any sort.
+   * Whether this entry has matchers of any sort.  Conditions are not matchers,
+   * as they do not look at any text; see `hasConditions`.
    */
   get hasMatchers() {
     if (this.keywords.length > 0) return true;
@@ -173,6 +308,13 @@ class StateEngineEntry {
     return false;
   }
 
+  /**
+   * Whether this entry has conditions on the game-state.
+   */
+  get hasConditions() {
+    return this.conditions.length > 0;
+  }
+
   /**
    * Handles deferred initialization of the class.
    * 
@@ -181,6 +323,9 @@ class StateEngineEntry {
    * @param {Object} [matchingOpts]
    * @param {AnyRelationDef[]} [matchingOpts.relations]
    * @param {AnyKeywordDef[]} [matchingOpts.keywords]
+   * @param {ConditionDef[]} [matchingOpts.conditions]
+   * @param {number} [matchingOpts.lifetime]
+   * @param {EntryTuning} [matchingOpts.tuning]
    * @returns {this}
    */
   init(entryId, topics, matchingOpts) {
@@ -188,6 +333,10 @@ class StateEngineEntry {
     this.topics = new Set(topics ?? []);
     this.relations = matchingOpts?.relations ?? [];
     this.keywords = matchingOpts?.keywords ?? [];
+    this.conditions = matchingOpts?.conditions ?? [];
+    this.lifetime = matchingOpts?.lifetime;
+
+    this.tuning = matchingOpts?.tuning ?? {};
     return this;
   }
 
@@ -199,12 +348,20 @@ class StateEngineEntry {
    * If your state entry doesn't support keywords, you can provide this issue as
    * a string in the returned array and it will be reported to the player.
    * 
-   * By default, no validation issues are provided.
+   * By default, the only issues provided are for tuned sources the entry's
+   * class cannot use.
    * 
    * @returns {string[]}
    */
   validator() {
-    return [];
+    const { sources } = this.tuning;
+    if (sources == null) return [];
+    const classSources = getClassSources(this);
+    return sources
+      .filter((source) => !classSources.includes(source))
+      .map((source) =>
+        `It was given the source \`${source}\`, but this type of entry cannot be associated with it.`
+      );
   }
 
   /**
@@ -255,6 +412,7 @@ class StateEngineEntry {
     // Implicit references require inclusive matchers of some form.
     if (isParamsFor("implicitRef", params) && !this.hasInclusiveMatchers) return false;
 
+    if (!this.checkConditions(matcher, params)) return false;
     if (!this.checkKeywords(matcher, params)) return false;
     if (!this.checkRelations(matcher, params)) return false;
 
@@ -262,6 +420,22 @@ class StateEngineEntry {
     return true;
   }
 
+  /**
+   * A helper method that checks if the entry's conditions are satisfied by the
+   * game-state, such as the player having an item in their inventory.
+   * 
+   * The game-state is the same for every source, so this either passes or fails
+   * for all of them.  It always passes if the entry has no conditions.
+   * 
+   * @param {MatchableEntry} matcher
+   * @param {AssociationParamsFor<this>} params
+   * @returns {boolean}
+   * Whether this entry's conditions were satisfied.
+   */
+  checkConditions(matcher, params) {
+    return this.conditionChecker.checkAll(this.conditions);
+  }
+
   /**
    * A helper method that checks if the entry's keywords are matched in the text.
    * 
@@ -402,6 +576,8 @@ class StateEngineEntry {
    * When overriding, if you only want to provide a boost to the base scalar, simply
    * call `super.valuator` and pass an argument for `baseScalar`.
    * 
+   * The author's `bias` for the entry is applied to the base scalar.
+   * 
    * @param {MatchableEntry} matcher
    * @param {AssociationSourcesFor<this>} source
    * @param {StateEngineEntry | HistoryEntry | string} entry
@@ -409,6 +585,7 @@ class StateEngineEntry {
    * @returns {number}
    */
   valuator(matcher, source, entry, baseScalar = 1) {
+    baseScalar *= this.tuning.bias ?? 1;
     if (baseScalar === 0) return 0;
 
     const keywordStats = this.getKeywordStats(matcher, source, entry);
@@ -444,7 +621,9 @@ class StateEngineEntry {
       if (totalMatched === 0) break checkPenalty;
 
       const uniqueMatched = matcher.uniqueOccurrencesIn(text);
-      const bonus = Math.max(0, (totalMatched / uniqueMatched) - 1);
+      // Compound keywords are rewarded for finding their terms close together.
+      const tightness = matcher.tightnessIn(text);
+      const bonus = Math.max(0, (totalMatched / uniqueMatched) - 1) + tightness;
       return { matched: uniqueMatched, bonus, scalar };
     }
 
@@ -512,7 +691,7 @@ class StateEngineEntry {
    */
   toMatchable(matchCounter) {
     const { MatchableEntry } = require("./MatchableEntry");
-    return new MatchableEntry(this, matchCounter);
+    return new MatchableEntry(this, matchCounter, getTunedSources(this));
   }
 
   /**
@@ -538,10 +717,17 @@ class StateEngineEntry {
     const topics = [...this.topics];
     const relations = [...this.relations];
     const keywords = [...this.keywords];
-    return { type, entryId, topics, relations, keywords };
+    const conditions = [...this.conditions];
+    const { lifetime, expiresOn, tuning, cooldown, cooldownEndsOn } = this;
+    return {
+      type, entryId, topics, relations, keywords, conditions,
+      lifetime, expiresOn, tuning, cooldown, cooldownEndsOn
+    };
   }
 }
 
 exports.StateEngineEntry = StateEngineEntry;
+exports.getTunedPriority = getTunedPriority;
+exports.getTunedSources = getTunedSources;
 exports.BadStateEntryError = BadStateEntryError;
 exports.InvalidTypeError = InvalidTypeError;
\ No newline at end of file
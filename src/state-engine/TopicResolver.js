@@ -0,0 +1,137 @@
+/// <reference path="./state-engine.d.ts" />
+const { dew } = require("../utils");
+
+const $$aliases = Symbol("TopicResolver.aliases");
+const $$canonical = Symbol("TopicResolver.canonical");
+
+/**
+ * Class that understands how topics relate to one another, so that relations
+ * can match topics other than the exact one they named.
+ *
+ * There are two ways topics can be related:
+ * - Aliases, such as those declared by a `$Topic[Fox](Vulpine; Vixen)` entry,
+ *   where `Vulpine` and `Vixen` are treated as if they were the topic `Fox`.
+ * - Namespacing, where a topic like `Fox/Arctic` is a child of `Fox`.  A
+ *   relation to a parent topic will match any of its children, but a relation
+ *   to a child topic will not match the parent.
+ *
+ * Relations are compared against the canonical form of a topic, which is the
+ * topic with all its aliases resolved.
+ */
+class TopicResolver {
+  /**
+   * @param {Iterable<[topic: string, aliases: Iterable<string>]>} [aliasGroups]
+   * Pairs of a topic and the aliases that should be treated as that topic.
+   */
+  constructor(aliasGroups = []) {
+    /** @type {Map<string, string>} */
+    this[$$aliases] = new Map();
+    /** @type {Map<string, string>} */
+    this[$$canonical] = new Map();
+
+    for (const [topic, aliases] of aliasGroups)
+      for (const alias of aliases)
+        // The first declaration of an alias wins.
+        if (alias !== topic && !this[$$aliases].has(alias))
+          this[$$aliases].set(alias, topic);
+  }
+
+  /**
+   * Builds a resolver from the aliases declared by the given entries.
+   *
+   * @param {Iterable<StateEngineEntry>} entries
+   * @returns {TopicResolver}
+   */
+  static fromEntries(entries) {
+    /** @type {[string, string[]][]} */
+    const aliasGroups = [];
+    for (const entry of entries) {
+      const [topic] = entry.topics;
+      const aliases = entry.topicAliases;
+      if (!topic || aliases.length === 0) continue;
+      aliasGroups.push([topic, aliases]);
+    }
+    return new TopicResolver(aliasGroups);
+  }
+
+  /**
+   * Gets the canonical form of a topic.  Aliases are resolved for the topic
+   * itself and for each of its parents, so if `Vixen` is an alias of `Fox`,
+   * then `Vixen/Arctic` will become `Fox/Arctic`.
+   *
+   * @param {string} topic
+   * @returns {string}
+   */
+  canonical(topic) {
+    const cached = this[$$canonical].get(topic);
+    if (cached != null) return cached;
+
+    const aliased = this[$$aliases].get(topic);
+    const result = dew(() => {
+      if (aliased != null) return aliased;
+      const index = topic.lastIndexOf("/");
+      if (index === -1) return topic;
+      const rebuilt = `${this.canonical(topic.slice(0, index))}${topic.slice(index)}`;
+      return this[$$aliases].get(rebuilt) ?? rebuilt;
+    });
+
+    this[$$canonical].set(topic, result);
+    return result;
+  }
+
+  /**
+   * Converts a collection of topics into their canonical forms.
+   *
+   * @param {Iterable<string>} topics
+   * @returns {Set<string>}
+   */
+  canonicalize(topics) {
+    /** @type {Set<string>} */
+    const result = new Set();
+    for (const topic of topics) result.add(this.canonical(topic));
+    return result;
+  }
+
+  /**
+   * Yields the canonical form of a topic, followed by each of its parents,
+   * from the nearest to the furthest.
+   *
+   * @param {string} topic
+   * @returns {Iterable<string>}
+   */
+  *lineage(topic) {
+    // An alias could point back into its own lineage; don't loop forever.
+    /** @type {Set<string>} */
+    const visited = new Set();
+    let current = this.canonical(topic);
+    while (!visited.has(current)) {
+      visited.add(current);
+      yield current;
+      const index = current.lastIndexOf("/");
+      if (index === -1) return;
+      current = this.canonical(current.slice(0, index));
+    }
+  }
+
+  /**
+   * Expands a collection of topics into a set containing the canonical form
+   * of each topic and all of their parents.  Relations should be checked
+   * against this set.
+   *
+   * @param {Iterable<string>} topics
+   * @returns {Set<string>}
+   */
+  expand(topics) {
+    /** @type {Set<string>} */
+    const result = new Set();
+    for (const topic of topics)
+      for (const related of this.lineage(topic))
+        result.add(related);
+    return result;
+  }
+}
+
+exports.TopicResolver = TopicResolver;
+
+/** A resolver with no aliases; it only understands namespacing. */
+exports.nilTopicResolver = new TopicResolver();
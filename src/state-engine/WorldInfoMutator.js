@@ -0,0 +1,174 @@
+/// <reference path="./state-engine.d.ts" />
+const { hashWorldInfo } = require("./utils");
+
+const $$data = Symbol("WorldInfoMutator.data");
+const $$added = Symbol("WorldInfoMutator.added");
+const $$changed = Symbol("WorldInfoMutator.changed");
+
+/** @type {WeakMap<AIDData, WorldInfoMutator>} */
+const mutatorsForData = new WeakMap();
+
+/**
+ * Class that batches changes to the world-info, so State-Engine modules and
+ * commands can create, update, and remove entries safely.
+ *
+ * Nothing is changed until `commit` is called; State-Engine does this at the
+ * end of its `post` steps, so the world-info stays the same while the entries
+ * are being processed.  Commands must call it themselves.
+ *
+ * The changes are recorded in `state.$$worldInfoWrites`, so that on the next
+ * run, `detectWorldInfoChanges` knows they were not made by the user.
+ */
+class WorldInfoMutator {
+  /**
+   * @param {AIDData} data
+   */
+  constructor(data) {
+    /** @type {AIDData} */
+    this[$$data] = data;
+    /** @type {WorldInfoMutation.Add[]} */
+    this[$$added] = [];
+    /** @type {Map<string, WorldInfoMutation.Update | WorldInfoMutation.Remove>} */
+    this[$$changed] = new Map();
+  }
+
+  /**
+   * Gets the mutator for the given `AIDData`, creating it if needed.  All
+   * modules working on the same run will share the same mutator.
+   *
+   * @param {AIDData} data
+   * @returns {WorldInfoMutator}
+   */
+  static forData(data) {
+    const existing = mutatorsForData.get(data);
+    if (existing) return existing;
+    const created = new WorldInfoMutator(data);
+    mutatorsForData.set(data, created);
+    return created;
+  }
+
+  /**
+   * The number of changes waiting to be committed.
+   *
+   * @type {number}
+   */
+  get pendingCount() {
+    return this[$$added].length + this[$$changed].size;
+  }
+
+  /**
+   * Queues a new world-info entry to be added.
+   *
+   * @param {string} keys
+   * @param {string} entry
+   * @param {boolean} [hidden]
+   * @returns {this}
+   */
+  add(keys, entry, hidden = false) {
+    this[$$added].push({ type: "add", keys, entry, hidden });
+    return this;
+  }
+
+  /**
+   * Queues changes to an existing world-info entry.  Anything not provided in
+   * `changes` is kept as it is.  Multiple updates to the same entry are merged.
+   *
+   * @param {string} entryId
+   * @param {Partial<Pick<WorldInfoMutation.Update, "keys" | "entry" | "hidden">>} changes
+   * @returns {this}
+   */
+  update(entryId, changes) {
+    const existing = this[$$changed].get(entryId);
+    // Updating an entry that is being removed does nothing.
+    if (existing?.type === "remove") return this;
+
+    const wiEntry = this.getWorldInfo(entryId);
+    this[$$changed].set(entryId, {
+      type: "update",
+      keys: changes.keys ?? existing?.keys ?? wiEntry.keys,
+      entry: changes.entry ?? existing?.entry ?? wiEntry.entry ?? "",
+      hidden: changes.hidden ?? existing?.hidden ?? wiEntry.hidden ?? false
+    });
+    return this;
+  }
+
+  /**
+   * Queues an existing world-info entry to be removed.  Any updates queued
+   * for it are discarded.
+   *
+   * @param {string} entryId
+   * @returns {this}
+   */
+  remove(entryId) {
+    this.getWorldInfo(entryId);
+    this[$$changed].set(entryId, { type: "remove" });
+    return this;
+  }
+
+  /**
+   * Applies all the queued changes to the world-info and records them in the
+   * game-state.
+   *
+   * @returns {number}
+   * The number of changes that were applied.
+   */
+  commit() {
+    const data = this[$$data];
+    const { state, worldEntries } = data;
+    /** @type {WorldInfoWrites} */
+    const writes = state.$$worldInfoWrites ?? { updated: {}, removed: [] };
+    let appliedCount = 0;
+
+    /** @type {[index: number, entryId: string][]} */
+    const toRemove = [];
+    for (const [entryId, change] of this[$$changed]) {
+      const index = worldEntries.findIndex((wi) => wi.id === entryId);
+      // The entry went away on its own; there's nothing left to change.
+      if (index === -1) continue;
+
+      if (change.type === "remove") {
+        toRemove.push([index, entryId]);
+        continue;
+      }
+
+      const { keys, entry, hidden } = change;
+      updateWorldEntry(index, keys, entry, hidden);
+      // Predict the hash the entry will have on the next run.
+      const expectedHash = hashWorldInfo({ ...worldEntries[index], keys, entry });
+      if (expectedHash) writes.updated[entryId] = expectedHash.full;
+      appliedCount += 1;
+    }
+
+    // Remove from the end, so the indices of the others are not disturbed.
+    for (const [index, entryId] of toRemove.sort(([a], [b]) => b - a)) {
+      removeWorldEntry(index);
+      delete writes.updated[entryId];
+      writes.removed.push(entryId);
+      appliedCount += 1;
+    }
+
+    for (const { keys, entry, hidden } of this[$$added]) {
+      addWorldEntry(keys, entry, hidden);
+      appliedCount += 1;
+    }
+
+    this[$$added] = [];
+    this[$$changed].clear();
+    if (appliedCount > 0) state.$$worldInfoWrites = writes;
+    return appliedCount;
+  }
+
+  /**
+   * Locates a world-info entry by its ID.
+   *
+   * @param {string} entryId
+   * @returns {WorldInfoEntry}
+   */
+  getWorldInfo(entryId) {
+    const wiEntry = this[$$data].worldEntries.find((wi) => wi.id === entryId);
+    if (wiEntry) return wiEntry;
+    throw new Error(`No world-info entry exists with the ID \`${entryId}\`.`);
+  }
+}
+
+exports.WorldInfoMutator = WorldInfoMutator;
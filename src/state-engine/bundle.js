@@ -0,0 +1,331 @@
+/// <reference path="./state-engine.d.ts" />
+const { dew, is, getEntryText } = require("../utils");
+const { hasStateEngineAttrs, isExclusiveKeyword } = require("./parsers/checks");
+const { RELATION_MODIFIERS: { ALL_OF, AT_LEAST_ONE, IMMEDIATE, NEGATED } } = require("./parsers/checks");
+const { ParsingError } = require("./parsers/errors");
+const { worldInfoString, hashWorldInfo } = require("./utils");
+const extractor = require("./parsers/extract");
+
+/** Identifies a JSON document as a bundle of State-Engine entries. */
+const BUNDLE_FORMAT = "state-engine-bundle";
+/** The version of the bundle format this module writes and reads. */
+const BUNDLE_VERSION = 1;
+
+/** @type {Record<RelationTypes, string>} */
+const relationPrefixes = {
+  [ALL_OF]: ":",
+  [AT_LEAST_ONE]: "?",
+  [IMMEDIATE]: "@",
+  [NEGATED]: "!"
+};
+
+/**
+ * Thrown when some text could not be read as a bundle.
+ */
+class BadBundleError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+
+    // @ts-ignore - That's why we're checking, TS.
+    Error.captureStackTrace?.(this, this.constructor);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Writes a keyword the way it would be written in the classic syntax.
+ *
+ * @param {AnyKeywordDef} kw
+ * @returns {string}
+ */
+const classicKeyword = (kw) => {
+  const prefix = isExclusiveKeyword(kw) ? "-" : "";
+  // The `value` of a compound keyword is already written as it was given.
+  if (kw.compound) return `${prefix}${kw.value}`;
+  if (kw.regexFlags != null) return `${prefix}/${kw.value}/${kw.regexFlags}`;
+  if (!kw.exactMatch) return `${prefix}${kw.value}`;
+  return kw.value.includes("\"") ? `${prefix}\`${kw.value}\`` : `${prefix}"${kw.value}"`;
+};
+
+/**
+ * Writes a condition the way it would be written in the classic syntax.
+ *
+ * @param {ConditionDef} cond
+ * @returns {string}
+ */
+const classicCondition = (cond) => {
+  const { kind, name, comparison, value } = cond;
+  // This is the comparison used when none is given.
+  if (comparison === ">=" && value === 1) return `%${kind}:${name}`;
+  return `%${kind}:${name}${comparison}${value}`;
+};
+
+/**
+ * Writes the lifetime and tuning the way they would be written in the classic
+ * syntax, like `{expires=10,priority=70}`.  The classic syntax cannot limit the
+ * sources, so those are left out.
+ *
+ * @param {number | undefined} lifetime
+ * @param {EntryTuning | undefined} tuning
+ * @returns {string}
+ */
+const classicSettings = (lifetime, tuning) => {
+  const { priority, bias, cooldown } = tuning ?? {};
+  const settings = Object.entries({ expires: lifetime, priority, bias, cooldown })
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => `${name}=${value}`);
+  return settings.length > 0 ? `{${settings.join(",")}}` : "";
+};
+
+/**
+ * Writes the keys for an entry in the classic syntax, like `$Lore[Fox](fox; :BeastFolk)`.
+ * This is used for entries that were given with attributes, since scripts
+ * cannot create entries with attributes.
+ *
+ * An entry without a type has no classic syntax, so only its matchers are
+ * written, as vanilla keys.
+ *
+ * @param {Pick<BundleEntry, "type" | "topics" | "keywords" | "relations" | "conditions" | "lifetime" | "tuning">} data
+ * @returns {string}
+ */
+exports.toClassicKeys = (data) => {
+  const { type, topics, keywords, relations, conditions, lifetime, tuning } = data;
+  const theMatchers = [
+    ...keywords.map(classicKeyword),
+    ...relations.map((relDef) => `${relationPrefixes[relDef.type]}${relDef.topic}`),
+    ...conditions.map(classicCondition)
+  ];
+  if (!type) return theMatchers.join(", ");
+
+  const theTopics = topics.length > 0 ? `[${topics.join(" & ")}]` : "";
+  const theSettings = classicSettings(lifetime, tuning);
+  const theMatcherArea = theMatchers.length > 0 ? `(${theMatchers.join("; ")})` : "";
+  return `$${type}${theTopics}${theSettings}${theMatcherArea}`;
+};
+
+/**
+ * Explains what would be lost by writing an entry that was given with
+ * attributes in the classic syntax, if anything.
+ *
+ * @param {BundleEntry} entry
+ * @returns {string | undefined}
+ */
+const whyNotClassic = (entry) => {
+  if (entry.tuning?.sources != null)
+    return "its `@sources` attribute cannot be written in the classic syntax";
+  if (entry.type) return undefined;
+  if (entry.topics.length > 0 || classicSettings(entry.lifetime, entry.tuning))
+    return "it has no type, so its topics, lifetime and tuning cannot be written as keys";
+  return undefined;
+};
+
+/**
+ * Converts a world-info entry into a `BundleEntry`.
+ *
+ * The matchers come from the extractors, so they are what the user wrote and not
+ * what modifiers may have added during processing.  The type comes from the entry's
+ * `toJSON` in `stateDataCache`, when it is current, since the entry class that
+ * claimed it may have mapped a vanilla type to one of its own.
+ *
+ * @param {WorldInfoEntry} worldInfo
+ * @param {GameState["$$stateDataCache"]} [stateDataCache]
+ * @returns {BundleEntry}
+ * @throws {ParsingError} If the entry could not be parsed.
+ */
+exports.toBundleEntry = (worldInfo, stateDataCache) => {
+  const parsedType = extractor.type(worldInfo);
+  const topics = extractor.topics(worldInfo) ?? [];
+  const keywords = extractor.keywords(worldInfo) ?? [];
+  const relations = extractor.relations(worldInfo) ?? [];
+  const conditions = extractor.conditions(worldInfo) ?? [];
+  const lifetime = extractor.lifetime(worldInfo);
+  const tuning = {
+    priority: extractor.priority(worldInfo),
+    bias: extractor.bias(worldInfo),
+    sources: extractor.sources(worldInfo),
+    cooldown: extractor.cooldown(worldInfo)
+  };
+
+  const type = dew(() => {
+    /** @type {Partial<EngineDataForWorldInfo> | undefined} */
+    const cached = stateDataCache?.[worldInfo.id];
+    const isCurrent = cached?.infoHash && hashWorldInfo(worldInfo)?.full === cached.infoHash.full;
+    return (isCurrent ? cached?.type : parsedType?.value) ?? "";
+  });
+
+  const data = { type, topics, keywords, relations, conditions, lifetime, tuning };
+  const keys = hasStateEngineAttrs(worldInfo) ? exports.toClassicKeys(data) : worldInfo.keys;
+  const name = worldInfo.name?.trim() || undefined;
+  const hidden = Boolean(worldInfo.hidden);
+  return { keys, text: getEntryText(worldInfo), hidden, name, ...data };
+};
+
+/**
+ * Builds a bundle from the world-info.  Entries that could not be parsed are
+ * left out, as they would just be broken in the other scenario, too.  So are
+ * entries using attributes that cannot be written in the classic syntax, rather
+ * than have them quietly lose something.
+ *
+ * @param {readonly WorldInfoEntry[]} worldEntries
+ * @param {GameState["$$stateDataCache"]} [stateDataCache]
+ * @returns {{ bundle: StateEngineBundle, failed: [WorldInfoEntry, string][] }}
+ * The bundle, and the entries that were left out with the reason why.
+ */
+exports.exportBundle = (worldEntries, stateDataCache) => {
+  /** @type {BundleEntry[]} */
+  const entries = [];
+  /** @type {[WorldInfoEntry, string][]} */
+  const failed = [];
+
+  for (const worldInfo of worldEntries) {
+    try {
+      const entry = exports.toBundleEntry(worldInfo, stateDataCache);
+      const problem = hasStateEngineAttrs(worldInfo) ? whyNotClassic(entry) : undefined;
+      if (problem) failed.push([worldInfo, problem]);
+      else entries.push(entry);
+    }
+    catch (err) {
+      if (!(err instanceof ParsingError)) throw err;
+      failed.push([worldInfo, "it could not be parsed"]);
+    }
+  }
+
+  return { bundle: { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, entries }, failed };
+};
+
+/**
+ * Reads a bundle from JSON text.
+ *
+ * @param {string} json
+ * @returns {StateEngineBundle}
+ * @throws {BadBundleError} If the text is not a bundle this version can read.
+ */
+exports.readBundle = (json) => {
+  /** @type {any} */
+  let bundle;
+  try {
+    bundle = JSON.parse(json);
+  }
+  catch (err) {
+    throw new BadBundleError(`The bundle is not valid JSON: ${err instanceof Error ? err.message : err}`);
+  }
+
+  if (!is.pojo(bundle) || bundle.format !== BUNDLE_FORMAT)
+    throw new BadBundleError("The JSON is not a State-Engine bundle.");
+  if (bundle.version !== BUNDLE_VERSION)
+    throw new BadBundleError(`Bundles of version ${bundle.version} are not supported; expected version ${BUNDLE_VERSION}.`);
+  if (!is.array(bundle.entries))
+    throw new BadBundleError("The bundle has no `entries` array.");
+
+  for (const [index, entry] of bundle.entries.entries()) {
+    if (is.pojo(entry) && is.string(entry.keys) && is.string(entry.text)) continue;
+    throw new BadBundleError(`Entry ${index} of the bundle must have \`keys\` and \`text\` strings.`);
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    entries: bundle.entries.map((/** @type {any} */ entry) => ({
+      keys: entry.keys,
+      text: entry.text,
+      hidden: Boolean(entry.hidden),
+      name: is.string(entry.name) ? entry.name : undefined,
+      type: is.string(entry.type) ? entry.type : "",
+      topics: is.array(entry.topics) ? entry.topics.filter(is.string) : [],
+      keywords: is.array(entry.keywords) ? entry.keywords : [],
+      relations: is.array(entry.relations) ? entry.relations : [],
+      conditions: is.array(entry.conditions) ? entry.conditions : [],
+      lifetime: is.number(entry.lifetime) ? entry.lifetime : undefined,
+      tuning: is.pojo(entry.tuning) ? entry.tuning : undefined
+    }))
+  };
+};
+
+/**
+ * Works out which entries of a bundle can be added to the world-info.
+ * - An entry with the same keys and text as an existing entry is already present.
+ * - An entry with the same type and main topic as an existing entry conflicts
+ *   with it, and is not added; the user must decide which one to keep.
+ * - Everything else is added.
+ *
+ * @param {StateEngineBundle} bundle
+ * @param {readonly WorldInfoEntry[]} worldEntries
+ * @returns {BundleImportPlan}
+ */
+exports.planImport = (bundle, worldEntries) => {
+  /** @type {[BundleEntry, WorldInfoEntry][]} */
+  const existing = [];
+  for (const worldInfo of worldEntries) {
+    try {
+      existing.push([exports.toBundleEntry(worldInfo), worldInfo]);
+    }
+    catch (err) {
+      // An entry that can't be parsed has no type or topics to conflict with.
+      if (!(err instanceof ParsingError)) throw err;
+    }
+  }
+
+  /** @type {BundleImportPlan} */
+  const plan = { toAdd: [], present: [], conflicts: [] };
+  for (const entry of bundle.entries) {
+    const isPresent = worldEntries.some((wi) => wi.keys === entry.keys && getEntryText(wi) === entry.text);
+    if (isPresent) {
+      plan.present.push(entry);
+      continue;
+    }
+
+    const [mainTopic] = entry.topics;
+    const conflicting = !mainTopic ? [] : existing
+      .filter(([other]) => other.type === entry.type && other.topics[0] === mainTopic)
+      .map(([, wi]) => wi);
+    if (conflicting.length > 0) {
+      plan.conflicts.push([entry, conflicting]);
+      continue;
+    }
+
+    plan.toAdd.push(entry);
+  }
+  return plan;
+};
+
+/**
+ * Describes a `BundleEntry` for the user, similar to `worldInfoString`.
+ *
+ * @param {BundleEntry} entry
+ * @returns {string}
+ */
+exports.bundleEntryString = (entry) => {
+  if (entry.name) return `<${entry.name}>`;
+  return `[${entry.keys.trim()}]`;
+};
+
+/**
+ * Describes the result of an import for the user.
+ *
+ * @param {BundleImportPlan} plan
+ * @returns {string}
+ */
+exports.reportOnImport = (plan) => {
+  const { toAdd, present, conflicts } = plan;
+  const lines = [`Imported ${toAdd.length} world-info entries.`];
+  if (present.length > 0)
+    lines.push(`Skipped ${present.length} entries that already exist.`);
+  if (conflicts.length === 0) return lines.join("\n");
+
+  lines.push(
+    "",
+    "The following entries were not imported, as they have the same type and main topic as existing entries:",
+    ...conflicts.flatMap(([entry, others]) => [
+      `\t${exports.bundleEntryString(entry)}`,
+      ...others.map((wi) => `\t\t• ${worldInfoString(wi)}`)
+    ])
+  );
+  return lines.join("\n");
+};
+
+exports.BadBundleError = BadBundleError;
+exports.BUNDLE_FORMAT = BUNDLE_FORMAT;
+exports.BUNDLE_VERSION = BUNDLE_VERSION;
@@ -6,7 +6,17 @@ const defaultConfiguration = {
   /** Overrides `info.maxChars` with this value.  Disables `maxCharsMultiplier` when non-zero. */
   maxCharsOverride: 0,
   /** Multiplies `info.maxChars` with this value.  Disabled by non-zero `maxCharsOverride`. */
-  maxCharsMultiplier: 1
+  maxCharsMultiplier: 1,
+  /** Combined with `info.actionCount` to seed the random number generator. */
+  seed: 0,
+  /** How many turns a topic is remembered by relations after it was last seen.  Disabled when `0`. */
+  topicMemoryTurns: 0,
+  /** How the length of text is measured when fitting it into the context; `"characters"` or `"tokens"`. */
+  lengthMeasure: "characters",
+  /** The history iterator to use by its name, like `"line"`; the one State-Engine was set up with when empty. */
+  historyIterator: "",
+  /** What to do with invalid entries; `"block"`, `"warn"`, or `"silent"`. */
+  validationMode: "block"
 };
 
 /** @typedef {ConfigNamespace<typeof defaultConfiguration>} StateEngineConfig */
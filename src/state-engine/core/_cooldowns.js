@@ -0,0 +1,57 @@
+/**
+ * Marks the entries that are still cooling down from being selected, so they
+ * will not be associated this turn.
+ *
+ * An entry with a cooldown of `3` that was selected on turn `10` rests on turns
+ * `11` through `13` and can be associated again on turn `14`.  Retrying turn `10`
+ * does not count as a new turn.
+ *
+ * @param {AIDData} data
+ * @param {Iterable<StateEngineEntry>} entries
+ * @returns {void}
+ */
+exports.checkCooldowns = (data, entries) => {
+  const { state, actionCount } = data;
+  const lastSelections = state.$$lastSelections ?? {};
+
+  for (const entry of entries) {
+    const { cooldown } = entry;
+    if (cooldown == null) continue;
+    const lastTurn = lastSelections[entry.entryId];
+    if (lastTurn == null) continue;
+    entry.cooldownEndsOn = lastTurn + cooldown + 1;
+    entry.coolingDown = actionCount > lastTurn && actionCount < entry.cooldownEndsOn;
+  }
+};
+
+/**
+ * Records the turn that entries with a cooldown were selected on and forgets
+ * the entries that no longer exist or no longer have a cooldown.
+ *
+ * @param {AIDData} data
+ * @param {Iterable<StateEngineData["entryId"]>} selectedIds
+ * The IDs of the entries that were selected this turn.
+ * @returns {void}
+ */
+exports.recordSelections = (data, selectedIds) => {
+  const { state, actionCount, stateEngineContext: ctx } = data;
+
+  /** @type {Record<string, number>} */
+  const lastSelections = state.$$lastSelections ?? {};
+
+  for (const entryId of Object.keys(lastSelections))
+    if (ctx.entriesMap[entryId]?.cooldown == null)
+      delete lastSelections[entryId];
+
+  for (const entryId of selectedIds) {
+    const cooldown = ctx.entriesMap[entryId]?.cooldown;
+    if (cooldown == null) continue;
+    lastSelections[entryId] = actionCount;
+    ctx.entriesMap[entryId].cooldownEndsOn = actionCount + cooldown + 1;
+  }
+
+  if (Object.keys(lastSelections).length > 0)
+    state.$$lastSelections = lastSelections;
+  else
+    delete state.$$lastSelections;
+};
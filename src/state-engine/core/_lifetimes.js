@@ -0,0 +1,61 @@
+const { chain } = require("../../utils");
+
+/**
+ * Works out when each entry with a lifetime expires and marks the entries that
+ * have already expired, so they will not be associated this turn.
+ *
+ * An entry's lifetime begins on the turn it is first associated, so an entry
+ * with a lifetime of `10` can be associated for ten turns, starting with that one.
+ *
+ * @param {AIDData} data
+ * @param {Iterable<StateEngineEntry>} entries
+ * @returns {void}
+ */
+exports.checkExpirations = (data, entries) => {
+  const { state, actionCount } = data;
+  const firstAssociations = state.$$firstAssociations ?? {};
+
+  for (const entry of entries) {
+    if (entry.lifetime == null) continue;
+    const firstTurn = firstAssociations[entry.entryId];
+    if (firstTurn == null) continue;
+    entry.expiresOn = firstTurn + entry.lifetime;
+    entry.expired = actionCount >= entry.expiresOn;
+  }
+};
+
+/**
+ * Records the turn that entries with a lifetime were first associated on and
+ * forgets the entries that no longer exist or no longer have a lifetime.
+ *
+ * @param {AIDData} data
+ * @returns {void}
+ */
+exports.recordFirstAssociations = (data) => {
+  const { state, actionCount, stateEngineContext: ctx } = data;
+
+  /** @type {Record<string, number>} */
+  const firstAssociations = state.$$firstAssociations ?? {};
+
+  for (const entryId of Object.keys(firstAssociations))
+    if (ctx.entriesMap[entryId]?.lifetime == null)
+      delete firstAssociations[entryId];
+
+  const associatedEntries = chain(ctx.stateAssociations.values())
+    .map((theMap) => theMap.values())
+    .flatten()
+    .map((theAssociation) => theAssociation.entry)
+    .value((entries) => new Set(entries));
+
+  for (const entry of associatedEntries) {
+    if (entry.lifetime == null) continue;
+    if (entry.entryId in firstAssociations) continue;
+    firstAssociations[entry.entryId] = actionCount;
+    entry.expiresOn = actionCount + entry.lifetime;
+  }
+
+  if (Object.keys(firstAssociations).length > 0)
+    state.$$firstAssociations = firstAssociations;
+  else
+    delete state.$$firstAssociations;
+};
@@ -0,0 +1,102 @@
+const { chain } = require("../../utils");
+
+/** The most a topic can be reinforced, so it stays at full strength for longer. */
+const MAX_STRENGTH = 3;
+
+/**
+ * Calculates the strength of a remembered topic on the given turn.  It decays
+ * linearly, reaching `0` once `memoryTurns` turns have passed since the topic
+ * was last seen.
+ *
+ * @param {TopicMemoryRecord} record
+ * @param {number} turn
+ * @param {number} memoryTurns
+ * @returns {number}
+ */
+const decayedStrength = (record, turn, memoryTurns) => {
+  const age = Math.max(0, turn - record.lastSeen);
+  return Math.max(0, record.strength * (1 - age / memoryTurns));
+};
+
+/**
+ * Recalls the topics remembered from previous turns.  The result maps each
+ * topic, and its parents, to how strongly it is remembered, from `0` to `1`.
+ *
+ * The topics held by the given entries are always remembered at full strength,
+ * even when `topicMemoryTurns` is disabled.
+ *
+ * @param {AIDData} data
+ * @param {TopicResolver} topicResolver
+ * @param {Iterable<StateEngineEntry>} [entries]
+ * @returns {Map<string, number>}
+ */
+exports.recallTopics = (data, topicResolver, entries = []) => {
+  const { state, actionCount, stateEngineContext: ctx } = data;
+  const memoryTurns = ctx.config.get("integer", "topicMemoryTurns");
+
+  /** @type {Map<string, number>} */
+  const result = new Map();
+
+  /**
+   * @param {string} topic
+   * @param {number} strength
+   */
+  const recall = (topic, strength) => {
+    for (const related of topicResolver.lineage(topic))
+      result.set(related, Math.max(result.get(related) ?? 0, strength));
+  };
+
+  for (const entry of entries)
+    for (const topic of entry.heldTopics)
+      recall(topic, 1);
+
+  if (memoryTurns <= 0 || !state.$$topicMemory) return result;
+
+  for (const [topic, record] of Object.entries(state.$$topicMemory)) {
+    const strength = Math.min(1, decayedStrength(record, actionCount, memoryTurns));
+    if (strength > 0) recall(topic, strength);
+  }
+
+  return result;
+};
+
+/**
+ * Reinforces the topics of the entries that were selected this turn and
+ * forgets any topics that have decayed away.
+ *
+ * @param {AIDData} data
+ * @returns {void}
+ */
+exports.rememberTopics = (data) => {
+  const { state, actionCount, stateEngineContext: ctx } = data;
+  const memoryTurns = ctx.config.get("integer", "topicMemoryTurns");
+  if (memoryTurns <= 0) return;
+
+  /** @type {Record<string, TopicMemoryRecord>} */
+  const topicMemory = state.$$topicMemory ?? {};
+
+  const seenTopics = chain(ctx.stateAssociations.values())
+    .map((theMap) => theMap.values())
+    .flatten()
+    .map((theAssociation) => theAssociation.entry.topics)
+    .flatten()
+    .value((topics) => new Set(topics));
+
+  for (const topic of seenTopics) {
+    const record = topicMemory[topic];
+    if (!record) {
+      topicMemory[topic] = { lastSeen: actionCount, strength: 1 };
+      continue;
+    }
+    // A retried turn should not reinforce the topic a second time.
+    if (record.lastSeen === actionCount) continue;
+    const strength = decayedStrength(record, actionCount, memoryTurns) + 1;
+    topicMemory[topic] = { lastSeen: actionCount, strength: Math.min(MAX_STRENGTH, strength) };
+  }
+
+  for (const [topic, record] of Object.entries(topicMemory))
+    if (decayedStrength(record, actionCount, memoryTurns) <= 0)
+      delete topicMemory[topic];
+
+  state.$$topicMemory = topicMemory;
+};
@@ -0,0 +1,124 @@
+const { dew, getText } = require("../../utils");
+const { isParamsFor, isParamsTextable } = require("../utils");
+
+/**
+ * Tracing is costly, so only the entry `/state-engine explain` last asked
+ * about is traced.
+ *
+ * @param {Context} ctx
+ * @param {StateEngineEntry["entryId"]} entryId
+ * @returns {boolean}
+ */
+const isTraced = (ctx, entryId) => ctx.tracedEntryId === entryId;
+
+/**
+ * Adds a record to the trace of an entry.
+ *
+ * @param {Context} ctx
+ * @param {StateEngineEntry["entryId"]} entryId
+ * @param {TraceRecord} record
+ * @returns {void}
+ */
+const addRecord = (ctx, entryId, record) => {
+  const records = ctx.trace[entryId] ?? [];
+  records.push(record);
+  ctx.trace[entryId] = records;
+};
+
+/**
+ * Records the result of an associator.
+ *
+ * Failures are only recorded when there was something worth explaining, such
+ * as a keyword being found in the text or the relations being satisfied.
+ * Recording every source that didn't even match a keyword would just bloat
+ * the trace.
+ *
+ * @param {Context} ctx
+ * @param {MatchableEntry} matcher
+ * @param {FlatAssociationParams} params
+ * @param {boolean} passed
+ * @returns {void}
+ */
+exports.traceAssociation = (ctx, matcher, params, passed) => {
+  if (!isTraced(ctx, matcher.entryId)) return;
+  const { stateEntry } = matcher;
+  const text = isParamsTextable(params) ? getText(params.entry).trim() : "";
+  const included = text ? matcher.keywordsIn(text, "included") : [];
+  const excluded = text ? matcher.keywordsIn(text, "excluded") : [];
+
+  /** @type {TraceData.Association["relations"]} */
+  const relations = dew(() => {
+    if (stateEntry.relations.length === 0) return undefined;
+    if (isParamsFor("history", params))
+      return stateEntry.relator.check(params.usedTopics, params.source);
+    if (isParamsFor("implicitRef", params))
+      return stateEntry.relator.checkTopics(params.entry.topics);
+    return undefined;
+  });
+
+  /** @type {TraceData.Association["conditions"]} */
+  const conditions = stateEntry.conditions.length === 0 ? undefined
+    : stateEntry.conditionChecker.checkAll(stateEntry.conditions);
+
+  checkInteresting: {
+    if (passed) break checkInteresting;
+    if (included.length > 0 || excluded.length > 0) break checkInteresting;
+    if (relations != null && relations !== false) break checkInteresting;
+    return;
+  }
+
+  /** @type {TraceData.Association} */
+  const record = { stage: "associator", source: params.source, passed };
+  if (included.length > 0) record.included = included;
+  if (excluded.length > 0) record.excluded = excluded;
+  if (relations != null) record.relations = relations;
+  if (conditions != null) record.conditions = conditions;
+  addRecord(ctx, matcher.entryId, record);
+};
+
+/**
+ * Records a pre-rule rejecting an association.
+ *
+ * @param {Context} ctx
+ * @param {MatchableEntry} matcher
+ * @param {AssociationSources} source
+ * @returns {void}
+ */
+exports.tracePreRule = (ctx, matcher, source) => {
+  if (!isTraced(ctx, matcher.entryId)) return;
+  addRecord(ctx, matcher.entryId, { stage: "preRules", source, passed: false });
+};
+
+/**
+ * Records the score given by a valuator, along with the keyword and relation
+ * stats that the default valuator would have used to produce it.
+ *
+ * @param {Context} ctx
+ * @param {MatchableEntry} matcher
+ * @param {AssociationSources} source
+ * @param {StateEngineEntry | HistoryEntry | string} entry
+ * @param {number} score
+ * @returns {void}
+ */
+exports.traceValuation = (ctx, matcher, source, entry, score) => {
+  if (!isTraced(ctx, matcher.entryId)) return;
+  const { stateEntry } = matcher;
+  const keywords = stateEntry.getKeywordStats(matcher, source, entry);
+  const relations = stateEntry.getRelationStats(matcher, source, entry);
+  addRecord(ctx, matcher.entryId, { stage: "valuator", source, score, keywords, relations });
+};
+
+/**
+ * Records what happened when an entry was drawn from the roulette wheel.
+ *
+ * @param {Context} ctx
+ * @param {MatchableEntry} matcher
+ * @param {AssociationSources} source
+ * @param {number} drawn
+ * @param {TraceData.Roulette["outcome"]} outcome
+ * @returns {void}
+ */
+exports.traceRoulette = (ctx, matcher, source, drawn, outcome) => {
+  if (!isTraced(ctx, matcher.entryId)) return;
+  addRecord(ctx, matcher.entryId, { stage: "roulette", source, drawn, outcome });
+};
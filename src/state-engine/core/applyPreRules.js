@@ -1,4 +1,5 @@
 const { associationsHelper, getAssociationsFor, makePreRuleIterators } = require("./_helpers");
+const { tracePreRule } = require("./_tracing");
 
 /**
  * Refines the state associations, applying the pre-rule for each type of state
@@ -15,6 +16,8 @@ module.exports = (data) => {
 
     const neighbors = makePreRuleIterators(ctx, matcher.stateEntry, source);
     const result = matcher.stateEntry.preRules(matcher, source, neighbors);
-    if (!result) theMap.delete(matcher.entryId);
+    if (result) continue;
+    theMap.delete(matcher.entryId);
+    tracePreRule(ctx, matcher, source);
   }
 };
\ No newline at end of file
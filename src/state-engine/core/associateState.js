@@ -1,4 +1,5 @@
 const { associationsHelper, getAssociationsFor, createAssocData } = require("./_helpers");
+const { traceAssociation } = require("./_tracing");
 
 /**
  * Goes through the available texts, determining which `StateEngineEntry` objects
@@ -13,7 +14,9 @@ module.exports = (data) => {
   const usedTopics = new Map();
 
   for (const [matcher, params] of associationsHelper(data, usedTopics)) {
-    if (!matcher.stateEntry.associator(matcher, params)) continue;
+    const result = matcher.stateEntry.associator(matcher, params);
+    traceAssociation(ctx, matcher, params, result);
+    if (!result) continue;
     getAssociationsFor(ctx, params.source, true).set(matcher.entryId, createAssocData(matcher, params));
   }
 };
\ No newline at end of file
@@ -0,0 +1,8 @@
+/**
+ * Applies any changes to the world-info that were queued during this run.
+ * 
+ * @type {BundledModifierFn}
+ */
+module.exports = (data) => {
+  data.stateEngineContext.worldInfo.commit();
+};
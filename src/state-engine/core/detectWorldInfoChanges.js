@@ -11,6 +11,10 @@ const isForWorldInfo = (entry) => entry && "forWorldInfo" in entry && entry.forW
  * Checks the cache to see if any world-info entries have changed or been removed
  * between runs.
  * 
+ * Changes made through `WorldInfoMutator` are recorded in `state.$$worldInfoWrites`
+ * and are not reported, so long as the user has not changed the entry since.
+ * The record is cleared here, as `updateCaches` will store the new hashes.
+ * 
  * Emits these events:
  * - `state-engine.entryChanged`
  *   - When any change is detected.
@@ -26,10 +30,14 @@ const isForWorldInfo = (entry) => entry && "forWorldInfo" in entry && entry.forW
  */
 module.exports = (data) => {
   const { state, worldEntries } = data;
-  const { $$stateDataCache } = state;
+  const { $$stateDataCache, $$worldInfoWrites } = state;
+  delete state.$$worldInfoWrites;
 
   if (!$$stateDataCache) return;
 
+  const ourUpdates = $$worldInfoWrites?.updated ?? {};
+  const ourRemovals = new Set($$worldInfoWrites?.removed);
+
   /** @type {Set<string>} */
   const existingSet = new Set();
 
@@ -47,6 +55,9 @@ module.exports = (data) => {
     const currentHash = hashWorldInfo(wi);
     if (!currentHash) continue;
 
+    // We made this change ourselves.
+    if (ourUpdates[wi.id] === currentHash.full) continue;
+
     if (currentHash.full !== existingEntry.infoHash.full) {
       // We likely have some kind of change.  Let's share the current `WorldInfoEntry`
       // and previous `EngineDataForWorldInfo` with an event.
@@ -63,6 +74,7 @@ module.exports = (data) => {
   // Checking for removals.
   for (const entryId of Object.keys($$stateDataCache)) {
     if (existingSet.has(entryId)) continue;
+    if (ourRemovals.has(entryId)) continue;
 
     // Can't find the ID from the previous loop.  Emit the removal.
     const cachedEntry = $$stateDataCache[entryId];
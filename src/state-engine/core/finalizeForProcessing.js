@@ -1,4 +1,6 @@
-const { dew, escapeRegExp, chain, take, tuple2 } = require("../../utils");
+const { dew, chain, take, tuple2 } = require("../../utils");
+const { getActingCharacter } = require("../utils");
+const { getInputMode, getCharacterNames } = require("../../input-mode");
 
 /**
  * @param {StateEngineEntry} source
@@ -39,27 +41,6 @@ const stateSorter = (a, b) => {
   return 0;
 };
 
-/**
- * Matches the type of input mode the player performed to submit the input.
- * This information is not currently provided by the API, and I like normalized data.
- * 
- * @param {import("aid-bundler/src/aidData").AIDData} data
- * @returns {"do" | "say" | "story"}
- */
-const parseInputMode = (data) => {
-  const { info: { characters }, text } = data;
-  const allCharacters = characters
-    .map((pi) => pi.name?.trim())
-    .filter(Boolean)
-    .map((name) => escapeRegExp(name));
-  const charMatch = ["you", ...allCharacters].join("|");
-
-  // Check for `say` first, since it is more ambiguous than `do`.
-  if (new RegExp(`^\\>\\s+(?:${charMatch}) says?`, "i").test(text)) return "say";
-  if (new RegExp(`^\\>\\s+(?:${charMatch})`, "i").test(text)) return "do";
-  return "story";
-};
-
 /**
  * Finalizes the internal state before processing.
  * 
@@ -72,9 +53,9 @@ module.exports = (data) => {
   /** @type {HistoryEntry | undefined} */
   const extraEntry = dew(() => {
     switch (data.phase) {
-      // We don't know what the input mode was, so we have to parse it.
+      // We don't know what the input mode was, so we have to classify it.
       case "input":
-        return { text: data.text, type: parseInputMode(data) };
+        return { text: data.text, type: getInputMode(data).mode };
       // Treat the AI's response as a continuation.
       case "output":
         return { text: data.text, type: "continue" };
@@ -82,14 +63,19 @@ module.exports = (data) => {
     return undefined;
   });
 
+  // Knowing who acted lets multiplayer entries favor that player.
+  ctx.actingCharacter = getActingCharacter(data);
+
   ctx.workingHistory = chain(extraEntry ? [...history, extraEntry] : history)
-    .thru(data.historyIterator)
+    .thru((entries) => data.historyIterator(entries, getCharacterNames(data)))
     .thru((entries) => take(entries, entryCount))
     .map((entry) => tuple2(entry.offset, entry))
     .value((entries) => new Map([...entries].reverse()));
 
   ctx.sortedStateMatchers = Object.keys(ctx.entriesMap)
     .map((id) => ctx.entriesMap[id])
+    // Expired and cooling down entries are kept around for reporting, but never matched.
+    .filter((sd) => !sd.expired && !sd.coolingDown)
     .sort(stateSorter)
     .map((sd) => sd.toMatchable(ctx.matchCounter));
 };
\ No newline at end of file
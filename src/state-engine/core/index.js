@@ -19,6 +19,8 @@ exports.stateModule = {
     require("./updateCaches")
   ],
   post: [
-    require("./loadUpMemory")
+    require("./loadUpMemory"),
+    // Changes to the world-info are held until everything else is done.
+    require("./commitWorldInfoChanges")
   ]
 };
\ No newline at end of file
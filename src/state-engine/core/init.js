@@ -1,4 +1,8 @@
+const { makeRandom, hashSeed } = require("../../utils");
 const { memoizedCounter } = require("../MatchableEntry");
+const { nilTopicResolver } = require("../TopicResolver");
+const { ConditionChecker } = require("../ConditionChecker");
+const { WorldInfoMutator } = require("../WorldInfoMutator");
 const turnCache = require("../../turn-cache");
 const getConfig = require("../config");
 
@@ -8,8 +12,12 @@ const getConfig = require("../config");
  * @type {BundledModifierFn}
  */
  module.exports = (data) => {
+  const config = getConfig(data);
+
   data.stateEngineContext = {
-    config: getConfig(data),
+    config,
+    // Seeded from the turn, so a retry of the same turn makes the same choices.
+    random: makeRandom(hashSeed(config.get("integer", "seed"), data.actionCount)),
     matchCounter: memoizedCounter(),
     theCache: turnCache.forWrite(data, "StateEngine.association"),
     entriesMap: {},
@@ -17,6 +25,13 @@ const getConfig = require("../config");
     sortedStateMatchers: [],
     workingHistory: new Map(),
     stateAssociations: new Map(),
-    scoresMap: new Map()
+    scoresMap: new Map(),
+    trace: {},
+    tracedEntryId: data.state.$$explainEntryId,
+    topicResolver: nilTopicResolver,
+    rememberedTopics: new Map(),
+    conditionChecker: new ConditionChecker(data.state),
+    worldInfo: WorldInfoMutator.forData(data),
+    actingCharacter: undefined
   };
 };
\ No newline at end of file
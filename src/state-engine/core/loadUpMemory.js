@@ -1,10 +1,14 @@
 const { chain, getText } = require("../../utils");
 const { entrySorter } = require("../entrySorting");
 const { entrySelector } = require("../entrySelection");
+const { getLengthMeasure } = require("../../length-measure");
+const { templateContextFor, renderTemplate } = require("../templating");
+const { hashText } = require("../utils");
 
 /**
  * We are not in a context modifier, so we will assume 1000 characters can be dedicated
- * to world-info.  Hopefully the context never gets even smaller.
+ * to world-info.  Hopefully the context never gets even smaller.  This is converted
+ * into the units of the configured `LengthMeasure` before use.
  */
 const MAX_MEMORY = 1000;
 
@@ -31,20 +35,25 @@ const convertPlayerMemory = function* (playerMemory) {
  * The current-turn State Engine cache data.
  * @param {(id: string) => SortingParts} getEntryData
  * Function that obtains an entry's text.
+ * @param {TopicResolver} topicResolver
+ * The resolver for relating the entries' topics.
+ * @param {LengthMeasure} measure
+ * How to measure the length of the entries' text.
  * @returns {string}
  */
-const produceContextMemory = (playerMemory, cacheData, getEntryData) => {
+const produceContextMemory = (playerMemory, cacheData, getEntryData, topicResolver, measure) => {
   const forContext = cacheData?.forContextMemory ?? [];
   const forHistory = cacheData?.forHistory ?? [];
+  const newLineLength = measure.lengthOf("\n");
 
   return chain()
     .concat(forContext)
     .concat(forHistory)
     .map((entry) => ({ ...entry, ...getEntryData(entry.entryId)}))
     .concat(convertPlayerMemory(playerMemory))
-    .thru(entrySorter)
-    .thru((notes) => entrySelector(notes, MAX_MEMORY + 1, {
-      lengthGetter: ({ text }) => text.length + 1
+    .thru((notes) => entrySorter(notes, topicResolver))
+    .thru((notes) => entrySelector(notes, measure.fromCharacters(MAX_MEMORY) + newLineLength, {
+      lengthGetter: ({ text }) => measure.lengthOf(text) + newLineLength
     }))
     .map((note) => note.text.trim())
     .filter(Boolean)
@@ -56,6 +65,9 @@ const produceContextMemory = (playerMemory, cacheData, getEntryData) => {
  * Uses the natural sorting utilities to select entries for display in the memory.
  * Also inserts the Author's Note and Front Memory.
  * 
+ * The text of the selected entries is rendered as templates here, now that we
+ * know what is in context.
+ * 
  * All the data we selected is in the turn cache for later; this step is just to
  * help with the edit distance restrictions and make this functional without any
  * other supporting plugins.
@@ -64,34 +76,45 @@ const produceContextMemory = (playerMemory, cacheData, getEntryData) => {
  */
 module.exports = (data) => {
   const { stateEngineContext: ctx } = data;
-  const { state: { memory }, playerMemory } = data;
+  const { state, state: { memory }, playerMemory } = data;
 
   const cacheData = ctx.theCache.storage;
   if (!cacheData) return;
 
+  const templateCtx = templateContextFor(data, cacheData);
+  /** @param {StateEngineEntry} entry */
+  const renderText = (entry) => renderTemplate(entry.entryId, getText(entry), templateCtx);
+
   const newContextMem = produceContextMemory(
     playerMemory, cacheData,
     (id) => {
       const entry = ctx.entriesMap[id];
       return {
-        text: getText(entry),
+        text: renderText(entry),
         topics: entry.topics,
         relations: entry.relations.filter((relDef) => relDef.type !== "negated")
       };
-    }
+    },
+    ctx.topicResolver,
+    getLengthMeasure(data)
   );
   if (newContextMem) memory.context = newContextMem;
   
   // Only set these if it is not already set by something else.
   if (cacheData.forAuthorsNote) {
     const entry = ctx.entriesMap[cacheData.forAuthorsNote.entryId];
-    const newAuthorsNote = getText(entry).trim();
+    const newAuthorsNote = renderText(entry).trim();
     if (newAuthorsNote) memory.authorsNote = newAuthorsNote;
   }
   
   if (cacheData.forFrontMemory && !memory.frontMemory) {
     const entry = ctx.entriesMap[cacheData.forFrontMemory.entryId];
-    const newFrontMemory = getText(entry).trim();
-    if (newFrontMemory) memory.frontMemory = newFrontMemory;
+    const newFrontMemory = renderText(entry).trim();
+    if (newFrontMemory) {
+      memory.frontMemory = newFrontMemory;
+      // Remember the text as it was rendered, so it can be recognized and
+      // cleared out once it has been spent.
+      state.$$forcedFrontMemory = hashText(newFrontMemory);
+    }
   }
 };
\ No newline at end of file
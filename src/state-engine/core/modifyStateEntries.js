@@ -1,4 +1,8 @@
 const { tuple2, chain, toPairs } = require("../../utils");
+const { TopicResolver } = require("../TopicResolver");
+const { recallTopics } = require("./_topicMemory");
+const { checkExpirations } = require("./_lifetimes");
+const { checkCooldowns } = require("./_cooldowns");
 
 /**
  * @param {StateEngineEntry} entry
@@ -10,7 +14,11 @@ const entryForModifier = (entry) => ({
 });
 
 /**
- * Applies modifiers to newly parsed and validated `StateEngineData`.
+ * Applies modifiers to newly parsed and validated `StateEngineData`, then
+ * builds the `TopicResolver` from the modified entries and recalls the topics
+ * remembered from previous turns or held by the entries.  Entries that have
+ * outlived their lifetime are marked as expired and entries resting after
+ * being selected are marked as cooling down.
  * 
  * @type {BundledModifierFn}
  */
@@ -25,4 +33,16 @@ module.exports = (data) => {
     .value((kvps) => new Map(kvps));
 
   for (const entry of currentEntries) entry.modifier(allStates);
+  checkExpirations(data, currentEntries);
+  checkCooldowns(data, currentEntries);
+
+  // Now that the entries are settled, resolve the topic aliases and give the
+  // resolver to every entry, so their relations can understand them.
+  ctx.topicResolver = TopicResolver.fromEntries(currentEntries);
+  ctx.rememberedTopics = recallTopics(data, ctx.topicResolver, currentEntries);
+  for (const entry of currentEntries) {
+    entry.topicResolver = ctx.topicResolver;
+    entry.rememberedTopics = ctx.rememberedTopics;
+    entry.conditionChecker = ctx.conditionChecker;
+  }
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ const { shutUpTS, is, tuple2, groupBy, iterReverse, chain } = require("../../uti
 const { Roulette } = require("../../utils/Roulette");
 const { associationsHelper, getAssociationsFor, createAssocData } = require("./_helpers");
 const { makePreRuleIterators, toPostRuleIterators } = require("./_helpers");
+const { traceValuation, traceRoulette } = require("./_tracing");
 
 /**
  * @template T
@@ -54,11 +55,12 @@ module.exports = (data) => {
     // and then add them to the roulette wheel.
     .map(([source, group]) => {
       /** @type {Roulette<MatchableEntry>} */
-      const roulette = new Roulette();
+      const roulette = new Roulette(ctx.random);
 
       for (const [matcher, { source, entry }] of group) {
         let score = matcher.stateEntry.valuator(matcher, source, entry);
         score = Math.max(0, Math.min(1000, score));
+        traceValuation(ctx, matcher, source, entry, score);
         if (score === 0) continue;
         roulette.push(score, matcher);
       }
@@ -95,14 +97,21 @@ module.exports = (data) => {
       const usedTypes = new Set();
       const winnerArr = [];
 
-      for (const [matcher, score] of theContestants) {
+      for (const [index, [matcher, score]] of theContestants.entries()) {
         const { type, stateEntry, entryId } = matcher;
-        if (usedEntryIds.has(entryId)) continue;
-        if (usedTypes.has(type)) continue;
+        if (usedEntryIds.has(entryId)) {
+          traceRoulette(ctx, matcher, source, index + 1, "duplicate");
+          continue;
+        }
+        if (usedTypes.has(type)) {
+          traceRoulette(ctx, matcher, source, index + 1, "typeTaken");
+          continue;
+        }
 
         const preIters = makePreRuleIterators(ctx, stateEntry, source);
         const neighbors = toPostRuleIterators(preIters, ctx.scoresMap, usedEntries);
         const result = matcher.stateEntry.postRules(matcher, source, score, neighbors);
+        traceRoulette(ctx, matcher, source, index + 1, result ? "selected" : "rejected");
         if (!result) continue;
 
         usedEntryIds.add(entryId);
@@ -114,19 +123,31 @@ module.exports = (data) => {
       theWinners.set(source, new Map(winnerArr.map((v) => tuple2(v.entry.entryId, v))));
     }
     else {
-      for (const [matcher, score] of theContestants) {
+      /** @type {StateEngineEntry["entryId"] | undefined} */
+      let winnerId = undefined;
+
+      for (const [index, [matcher, score]] of theContestants.entries()) {
         const { stateEntry, entryId } = matcher;
-        if (usedEntryIds.has(entryId)) continue;
+        // Someone already won; the rest are only traced.
+        if (winnerId != null) {
+          traceRoulette(ctx, matcher, source, index + 1, "outdrawn");
+          continue;
+        }
+        if (usedEntryIds.has(entryId)) {
+          traceRoulette(ctx, matcher, source, index + 1, "duplicate");
+          continue;
+        }
 
         const preIters = makePreRuleIterators(ctx, stateEntry, source);
         const neighbors = toPostRuleIterators(preIters, ctx.scoresMap, usedEntries);
         const result = matcher.stateEntry.postRules(matcher, source, score, neighbors);
+        traceRoulette(ctx, matcher, source, index + 1, result ? "selected" : "rejected");
         if (!result) continue;
 
+        winnerId = entryId;
         usedEntryIds.add(entryId);
         usedEntries.push([matcher.stateEntry, source]);
         theWinners.set(source, new Map([tuple2(entryId, rebuildParams(ctx, matcher, source))]));
-        break;
       }
     }
   }
@@ -1,5 +1,10 @@
 const { toPairs, fromPairs, chain } = require("../../utils");
+const { getTunedPriority } = require("../StateEngineEntry");
 const { entrySorter } = require("../entrySorting");
+const turnCache = require("../../turn-cache");
+const { rememberTopics } = require("./_topicMemory");
+const { recordFirstAssociations } = require("./_lifetimes");
+const { recordSelections } = require("./_cooldowns");
 
 /**
  * @param {Context} ctx
@@ -10,7 +15,7 @@ const buildForGeneral = (ctx, theAssociation) => {
   const entry = theAssociation.entry;
   const entryId = entry.entryId;
   const score = ctx.scoresMap.get(theAssociation.source)?.get(entryId) ?? 0;
-  const priority = entry.priority ?? null;
+  const priority = getTunedPriority(entry) ?? null;
   return { entryId, score, priority, source: theAssociation.source };
 };
 
@@ -23,7 +28,7 @@ const buildForHistory = (ctx, theAssociation) => {
   const entry = theAssociation.entry;
   const entryId = entry.entryId;
   const score = ctx.scoresMap.get(theAssociation.source)?.get(entryId) ?? 0;
-  const priority = entry.priority ?? null;
+  const priority = getTunedPriority(entry) ?? null;
   const { desc, start, end } = theAssociation;
   return {
     entryId, score, priority, desc, start, end,
@@ -71,7 +76,7 @@ module.exports = (data) => {
 
   // Sort the context memory entries.
   newCacheData.forContextMemory = chain(newCacheData.forContextMemory)
-    .thru(entrySorter)
+    .thru((entries) => entrySorter(entries, ctx.topicResolver))
     .map(({ order, ...data }) => data)
     .toArray();
 
@@ -79,6 +84,33 @@ module.exports = (data) => {
   ctx.theCache.storage = newCacheData;
   ctx.theCache.commit();
 
+  // Store the trace, so `/state-engine explain` can report on it.  Only the
+  // latest turn is kept.  The entry is stored even without records, so it is
+  // known it was traced.
+  if (ctx.tracedEntryId != null) {
+    /** @type {import("../../turn-cache").WriteCache<StateEngineTrace>} */
+    const traceCache = turnCache.forWrite(data, "StateEngine.trace", { storageSize: 1 });
+    traceCache.storage = { [ctx.tracedEntryId]: ctx.trace[ctx.tracedEntryId] ?? [] };
+    traceCache.commit();
+  }
+
+  // Remember the topics that were selected, for relations in later turns.
+  rememberTopics(data);
+
+  // Start the clock on any entries with a lifetime that were associated.
+  recordFirstAssociations(data);
+
+  // Let any entries with a cooldown that were selected start resting.
+  recordSelections(data, chain([
+    newCacheData.forContextMemory,
+    newCacheData.forHistory,
+    [newCacheData.forFrontMemory, newCacheData.forAuthorsNote]
+  ])
+    .flatten()
+    .filter(Boolean)
+    .map((cacheData) => cacheData.entryId)
+    .toArray());
+
   // Finally, update the parsed entry cache and we're done!
   // @ts-ignore - Why are you bothering with this, TS?  Stupid!
   state.$$stateDataCache = chain(toPairs(ctx.entriesMap))
@@ -1,8 +1,18 @@
-const { chain } = require("../../utils");
+const getConfig = require("../config");
+const { formatValidationIssues } = require("../utils");
 
 /**
  * Validates newly parsed `StateEngineData`.  Will remove any that fail validation.
  * 
+ * What happens next depends on the `state-engine.validationMode` configuration:
+ * - `block` stops the turn and reports the issues, every turn, until they are fixed.
+ * - `warn` lets the turn proceed without the invalid entries and reports the
+ *   issues only when they have changed since the last turn.
+ * - `silent` lets the turn proceed and never reports them.
+ * 
+ * In any mode, the issues are kept in `state.$$validationIssues`, so they can be
+ * viewed later with `/state-engine issues`.
+ * 
  * @type {BundledModifierFn}
  */
 module.exports = (data) => {
@@ -20,28 +30,25 @@ module.exports = (data) => {
     ctx.validationIssues.set(renderAs, theIssues);
   }
 
-  if (ctx.validationIssues.size === 0) return;
+  const prevIssues = data.state.$$validationIssues ?? [];
+  const curIssues = [...ctx.validationIssues];
+  const hasChanged = JSON.stringify(prevIssues) !== JSON.stringify(curIssues);
+  if (curIssues.length > 0) data.state.$$validationIssues = curIssues;
+  else delete data.state.$$validationIssues;
 
-  data.useAI = false;
-  data.message = chain(ctx.validationIssues)
-    .map(([renderAs, issues]) => [
-      `\t${renderAs}`,
-      // Format issues so that the first line of each issue has a bullet and
-      // all remaining lines are aligned.  AI Dungeon's message box will present
-      // messages with whitespace preserved.
-      ...chain(issues)
-        .map((issue) => issue.split("\n").map(([firstLine, ...restLines]) => [
-          `\t\t• ${firstLine}`,
-          ...restLines.map((issueLine) => `\t\t  ${issueLine}`)
-        ]))
-        .flatten()
-        .value()
-    ])
-    .flatten()
-    .value((lines) => {
-      return [
-        "The following State Engine validation issues were discovered:",
-        ...lines
-      ].join("\n")
-    });
-};
\ No newline at end of file
+  switch (getConfig(data).get("string", "validationMode").trim().toLowerCase()) {
+    case "silent":
+      return;
+    case "warn":
+      if (!hasChanged) return;
+      data.message = curIssues.length > 0
+        ? formatValidationIssues(curIssues)
+        : "All State Engine validation issues have been resolved.";
+      return;
+    default:
+      if (curIssues.length === 0) return;
+      data.useAI = false;
+      data.message = formatValidationIssues(curIssues);
+      return;
+  }
+};
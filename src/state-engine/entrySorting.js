@@ -1,4 +1,5 @@
 const { dew, isInstance, chain, memoize, setsIntersect } = require("../utils");
+const { nilTopicResolver } = require("./TopicResolver");
 
 /**
  * @callback SortingFn
@@ -27,9 +28,27 @@ const debugText = ({ text }) => text?.split(" ").slice(0, 10).join(" ") ?? "(no
 /**
  * Builds a set of functions that allow quick(er) queries about the entries.
  * 
+ * Topics are compared in their canonical form and relations to a parent topic
+ * will find entries with its child topics, as understood by `topicResolver`.
+ * 
  * @param {SortableEntry[]} theEntries
+ * @param {TopicResolver} [topicResolver]
  */
-exports.sortingHelpers = (theEntries) => {
+exports.sortingHelpers = (theEntries, topicResolver = nilTopicResolver) => {
+  /**
+   * Gets the canonical forms of an entry's topics.
+   * 
+   * @type {(entry: SortableEntry) => Set<string>}
+   */
+  const getTopics = memoize((entry) => topicResolver.canonicalize(entry.topics ?? []));
+
+  /**
+   * Gets the canonical forms of an entry's topics, along with their parents.
+   * 
+   * @type {(entry: SortableEntry) => Set<string>}
+   */
+  const getLineage = memoize((entry) => topicResolver.expand(entry.topics ?? []));
+
   /** @type {Set<string>} */
   const knownTopics = new Set();
   /** @type {Map<string | null, number>} */
@@ -51,27 +70,31 @@ exports.sortingHelpers = (theEntries) => {
     /** @type {Set<string>} */
     const relatives = new Set();
 
-    for (const topic of entry.topics) {
-      const setOfEntries = topicToEntries.get(topic) ?? new Set();
-      
-      setOfEntries.add(entry);
+    for (const topic of getTopics(entry)) {
       relatives.add(topic);
-      knownTopics.add(topic);
 
       if (entry.priority != null) {
         const curPriority = topicToPriority.get(topic);
         if (curPriority == null || entry.priority > curPriority)
           topicToPriority.set(topic, entry.priority);
       }
+    }
 
-      if (entry.relations != null)
-        for (const rel of entry.relations)
-          if (rel.type !== "negated")
-            relatives.add(rel.topic);
+    if (entry.relations != null)
+      for (const rel of entry.relations)
+        if (rel.type !== "negated")
+          relatives.add(topicResolver.canonical(rel.topic));
 
-      entryToRelatives.set(entry, relatives);
+    // An entry can be found through any of its topics' parents, so a relation
+    // to `Fox` can find an entry with the topic `Fox/Arctic`.
+    for (const topic of getLineage(entry)) {
+      const setOfEntries = topicToEntries.get(topic) ?? new Set();
+      setOfEntries.add(entry);
+      knownTopics.add(topic);
       topicToEntries.set(topic, setOfEntries);
     }
+
+    entryToRelatives.set(entry, relatives);
   }
 
   /**
@@ -82,7 +105,7 @@ exports.sortingHelpers = (theEntries) => {
    */
   const haveSharedTopics = (a, b) => {
     if (!a.topics || !b.topics) return false;
-    return setsIntersect(a.topics, b.topics);
+    return setsIntersect(getTopics(a), getTopics(b));
   };
 
   /**
@@ -97,7 +120,7 @@ exports.sortingHelpers = (theEntries) => {
       if (!entry.relations) return [];
       return entry.relations
         .filter((v) => v.type !== "negated")
-        .map((v) => v.topic);
+        .map((v) => topicResolver.canonical(v.topic));
     };
 
     return memoize(getInclusiveRelations);
@@ -171,9 +194,9 @@ exports.sortingHelpers = (theEntries) => {
           if (matchedRelations.length < inclusiveRelations.length) break theChecks;
           // If no other relation exists that has no tie to `entry` or `relEntry`, it's terminal.
           const culledRelations = matchedRelations.filter((k) => {
-            const selfHas = Boolean(entry.topics?.has(k));
+            const selfHas = getLineage(entry).has(k);
             if (entry === relEntry) return selfHas;
-            return selfHas && Boolean(relEntry.topics?.has(k));
+            return selfHas && getLineage(relEntry).has(k);
           });
           if (culledRelations.length === 0) break theChecks;
           // Otherwise, it is not terminal.
@@ -197,9 +220,8 @@ exports.sortingHelpers = (theEntries) => {
    * @returns {string | null}
    */
   const getPriorityTopic = (entry) => {
-    if (entry.topics)
-      for (const topic of entry.topics)
-        if (topicToPriority.has(topic)) return topic;
+    for (const topic of getTopics(entry))
+      if (topicToPriority.has(topic)) return topic;
 
     // If this entry is normally associated with multiple relations, but only one
     // of those relations was actually selected, we'll group them up.
@@ -441,12 +463,13 @@ exports.buildGrouper = (orderedEntries, helpers) => {
  * 
  * @template {SortableEntry} TEntry
  * @param {Iterable<TEntry>} theEntries 
+ * @param {TopicResolver} [topicResolver]
  * @returns {Iterable<TEntry & WithOrdering>}
  */
-exports.entrySorter = function* (theEntries) {
+exports.entrySorter = function* (theEntries, topicResolver) {
   // Clone the entries or resolve the iterable.
   const arrEntries = [...theEntries];
-  const helpers = exports.sortingHelpers(arrEntries);
+  const helpers = exports.sortingHelpers(arrEntries, topicResolver);
   const orderedEntries = arrEntries.sort(exports.buildSorter(helpers));
   const groupedEntries = orderedEntries.sort(exports.buildGrouper(orderedEntries, helpers));
 
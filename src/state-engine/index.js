@@ -2,12 +2,17 @@
 /// <reference path="../commands/commands.d.ts" />
 const { Plugin } = require("aid-bundler");
 const { MatchCommand } = require("../commands");
-const { is, flatMap, iterReverse, chain, fromPairs, tuple2, getEntryText } = require("../utils");
-const { makeExcerpt, stateDataString } = require("./utils");
+const { dew, is, flatMap, iterReverse, chain, fromPairs, tuple2, getEntryText } = require("../utils");
+const { groupBy } = require("../utils");
+const { makeExcerpt, stateDataString, worldInfoString, toActingPlayer, formatValidationIssues } = require("./utils");
 const { stateModule: coreModule } = require("./core");
 const { stateModule: vanillaModule } = require("./standard/vanilla");
 const { stateModule: classModule } = require("./standard/class");
-const perLineIterator = require("./iterators/perLine");
+const { stateModule: topicModule } = require("./standard/topic");
+const { perLineIterator, getHistoryIterator, nameOfHistoryIterator } = require("./iterators");
+const { lintWorldInfo } = require("./lint");
+const { exportBundle, readBundle, planImport, reportOnImport, BadBundleError } = require("./bundle");
+const { WorldInfoMutator } = require("./WorldInfoMutator");
 const turnCache = require("../turn-cache");
 
 const STATE_ENGINE_VERSION = 5;
@@ -62,6 +67,21 @@ const versionCheck = (data) => {
   ].filter(Boolean).join(" "));
 };
 
+/** @type {BundledModifierFn} */
+const historyIteratorCheck = (data) => {
+  const prevName = data.state.$$historyIterator;
+  const curName = nameOfHistoryIterator(data.historyIterator);
+  if (prevName === curName) return;
+
+  // The offsets in the caches mean something else to a different iterator.
+  turnCache.clearCache(data, "StateEngine.association");
+  turnCache.clearCache(data, "StateEngine.trace");
+  data.state.$$historyIterator = curName;
+
+  if (prevName == null) return;
+  console.log(`Cleared State Engine caches due to the history iterator changing from ${prevName} to ${curName}.`);
+};
+
 /**
  * Constructs an input modifier from the given list of `StateModule` instances.
  * 
@@ -72,7 +92,7 @@ const versionCheck = (data) => {
 exports.mainModifier = (historyIterator, ...stateModules) => {
   // Make sure the core module comes first, even if it was already in `stateModules`.
   // We also throw in the vanilla module, for backward compatibility.
-  const theModules = new Set([coreModule, vanillaModule, classModule, ...stateModules]);
+  const theModules = new Set([coreModule, vanillaModule, classModule, topicModule, ...stateModules]);
   const modifierFns = [
     ...flatMap(theModules, (m) => m.pre ?? []),
     ...flatMap(theModules, (m) => m.exec ?? []),
@@ -83,10 +103,11 @@ exports.mainModifier = (historyIterator, ...stateModules) => {
   return (data) => {
     if (!data.useAI) return;
     // Set the history iterator.
-    data.historyIterator = historyIterator;
+    data.historyIterator = getHistoryIterator(data, historyIterator);
 
     // Check to make sure the cache doesn't need busting.
     versionCheck(data);    
+    historyIteratorCheck(data);
 
     for (const modifierFn of modifierFns) {
       modifierFn(data);
@@ -116,6 +137,26 @@ const reportOnEntry = function* (worldInfoMap, stateDataCache, entries) {
   }
 };
 
+/**
+ * Lists the entries whose lifetime had run out as of the given turn.
+ * 
+ * @param {Record<string, WorldInfoEntry>} worldInfoMap 
+ * @param {Record<string, StateEngineData>} stateDataCache
+ * @param {number} forTurn
+ */
+const reportOnExpired = function* (worldInfoMap, stateDataCache, forTurn) {
+  for (const data of Object.values(stateDataCache)) {
+    const { type, entryId, topics, text, expiresOn } = data;
+    if (expiresOn == null || forTurn < expiresOn) continue;
+    /** @type {WorldInfoEntry | undefined} */
+    const info = worldInfoMap[entryId];
+    const infoName = info?.name?.trim() || undefined;
+    const textForExcerpt = text ?? (info ? getEntryText(info) : "");
+    const ident = stateDataString({ type, entryId, topics, infoName });
+    yield `${ident} (expired on turn ${expiresOn})\n\t${makeExcerpt(textForExcerpt)}`;
+  }
+};
+
 /**
  * Produces a report message for the given cache.
  * 
@@ -143,7 +184,11 @@ const reportOnCache = (aidData, storage) => {
     .toArray()
     .join("\n");
 
-  return `${theHeader}\n\n${theReport}`;
+  const expiredReport = [...reportOnExpired(worldInfoMap, $$stateDataCache, aidData.actionCount)];
+  if (expiredReport.length === 0) return `${theHeader}\n\n${theReport}`;
+
+  const theFooter = `Expired entries; these will no longer be associated and can be removed:`;
+  return `${theHeader}\n\n${theReport}\n\n${theFooter}\n${expiredReport.join("\n")}`;
 };
 
 /**
@@ -161,19 +206,194 @@ const emitCacheData = function* (aidData) {
   }
 };
 
+/**
+ * Describes an association source for the user.
+ * 
+ * @param {AssociationSources} source 
+ * @returns {string}
+ */
+const describeSource = (source) => is.number(source) ? `History ${source}` : source;
+
+/**
+ * Describes a `ValuationStats` for the user.
+ * 
+ * @param {ValuationStats} stats 
+ * @returns {string}
+ */
+const describeStats = ({ matched, bonus, scalar }) =>
+  `(${matched} + ${bonus.toFixed(2)}) × ${scalar.toFixed(2)}`;
+
+/**
+ * Describes a single step of an entry's trace.
+ * 
+ * @param {TraceRecord} record 
+ * @returns {string}
+ */
+const describeRecord = (record) => {
+  switch (record.stage) {
+    case "associator": {
+      const parts = [record.passed ? "associated" : "not associated"];
+      if (record.included) parts.push(`matched ${record.included.join(", ")}`);
+      else if (!record.passed) parts.push("no keywords matched");
+      if (record.excluded) parts.push(`excluded by ${record.excluded.join(", ")}`);
+      if (record.relations === false) parts.push("relations failed");
+      else if (record.relations != null) parts.push(`relations matched ${record.relations}`);
+      if (record.conditions === false) parts.push("conditions failed");
+      return `Associator: ${parts.join("; ")}`;
+    }
+    case "preRules":
+      return "Pre-rules: rejected";
+    case "valuator": {
+      const score = record.score.toFixed(2);
+      const keywords = describeStats(record.keywords);
+      const relations = describeStats(record.relations);
+      const dropped = record.score === 0 ? "; dropped" : "";
+      return `Valuator: ${score} (keywords ${keywords}; relations ${relations})${dropped}`;
+    }
+    case "roulette": {
+      const outcome
+        = record.outcome === "selected" ? "selected"
+        : record.outcome === "rejected" ? "rejected by post-rules"
+        : record.outcome === "duplicate" ? "already selected for another source"
+        : record.outcome === "typeTaken" ? "another entry of its type was selected"
+        : "another entry was selected first";
+      return `Roulette: drawn #${record.drawn}; ${outcome}`;
+    }
+  }
+};
+
+/**
+ * Produces a report explaining how State-Engine processed an entry.
+ * 
+ * @param {AIDData} aidData 
+ * @param {string} query
+ * An entry ID or the name of a world-info entry.
+ * @returns {string}
+ */
+const explainEntry = (aidData, query) => {
+  const { $$stateDataCache = {} } = aidData.state;
+  const needle = query.trim();
+  const lowerNeedle = needle.toLowerCase();
+
+  const entryId = dew(() => {
+    if (needle in $$stateDataCache) return needle;
+    const byName = aidData.worldEntries.find((wi) => wi.name?.trim().toLowerCase() === lowerNeedle);
+    return byName?.id;
+  });
+  const stateData = entryId != null ? $$stateDataCache[entryId] : undefined;
+  if (entryId == null || !stateData) return `No State-Engine entry could be found for \`${needle}\`.`;
+
+  const info = aidData.worldEntries.find((wi) => wi.id === entryId);
+  const { type, topics } = stateData;
+  const infoName = info?.name?.trim() || undefined;
+  const ident = stateDataString({ type, entryId, topics, infoName });
+
+  // Only the entry asked about is traced, so the trace may not have it yet.
+  aidData.state.$$explainEntryId = entryId;
+  const latestTrace = getLatestTrace(aidData);
+  if (!latestTrace || !(entryId in latestTrace[1]))
+    return `${ident}\n\nThis entry was not traced on the last turn.  It will be traced from now on; take a turn and ask again.`;
+  const [fromTurn, theTrace] = latestTrace;
+  const theHeader = `${ident}\nFrom turn ${fromTurn}`;
+
+  const { expiresOn } = stateData;
+  if (expiresOn != null && fromTurn >= expiresOn)
+    return `${theHeader}\n\nIts lifetime ran out on turn ${expiresOn}, so it is no longer associated.`;
+
+  const { cooldown, cooldownEndsOn } = stateData;
+  const selectedOn = cooldown != null && cooldownEndsOn != null
+    ? cooldownEndsOn - cooldown - 1
+    : undefined;
+  if (selectedOn != null && cooldownEndsOn != null && fromTurn > selectedOn && fromTurn < cooldownEndsOn)
+    return `${theHeader}\n\nIt is cooling down after being selected and can be associated again on turn ${cooldownEndsOn}.`;
+
+  const records = theTrace[entryId] ?? [];
+  if (records.length === 0)
+    return `${theHeader}\n\nIt matched no keywords or relations in any source.`;
+
+  const theReport = chain(groupBy(records, (record) => record.source))
+    .map(([source, group]) => [
+      `@ ${describeSource(source)}`,
+      ...group.map((record) => `\t${describeRecord(record)}`)
+    ].join("\n"))
+    .toArray()
+    .join("\n");
+
+  return `${theHeader}\n\n${theReport}`;
+};
+
+/**
+ * Locates the latest trace and the turn it came from.
+ * 
+ * @param {AIDData} aidData
+ * @returns {[fromTurn: number, trace: StateEngineTrace] | undefined}
+ */
+const getLatestTrace = (aidData) => {
+  for (let ac = aidData.actionCount; ac >= 0; ac--) {
+    /** @type {StateEngineTrace | undefined} */
+    const theTrace = turnCache.inspectAt(aidData, "StateEngine.trace", ac);
+    if (theTrace != null) return tuple2(ac, theTrace);
+  }
+  return undefined;
+};
+
 /** @type {Array<[string | RegExp, SimpleCommandHandler]>} */
 const commandPatterns = [
   // Reports more readable information about the latest turn.
   ["report", (data) => {
     const [latestTurn] = emitCacheData(data);
-    if (!latestTurn) return "No State-Engine data is available.";
-    return reportOnCache(data, latestTurn);
+    if (!latestTurn) return toActingPlayer(data, "No State-Engine data is available.");
+    return toActingPlayer(data, reportOnCache(data, latestTurn));
+  }],
+  // Explains how an entry was processed on the latest turn.
+  [/^explain\s+(.+)$/i, (data, [query]) => toActingPlayer(data, explainEntry(data, query))],
+  // Reports possible problems with the world-info, without stopping the game.
+  ["lint", (data) => toActingPlayer(data, lintWorldInfo(data))],
+  // Shows the validation issues of the latest turn, even if they were not reported.
+  ["issues", (data) => {
+    const { $$validationIssues } = data.state;
+    if (!$$validationIssues?.length) return toActingPlayer(data, "No State Engine validation issues were discovered.");
+    return toActingPlayer(data, formatValidationIssues($$validationIssues));
+  }],
+  // Writes the world-info as a bundle, to be imported into another scenario.
+  ["export", (data) => {
+    const { bundle, failed } = exportBundle(data.worldEntries, data.state.$$stateDataCache);
+    if (bundle.entries.length === 0) return toActingPlayer(data, "There is no world-info to export.");
+    const theBundle = JSON.stringify(bundle);
+    if (failed.length === 0) return toActingPlayer(data, theBundle);
+    return toActingPlayer(data, [
+      `${failed.length} world-info entries were left out:`,
+      ...failed.map(([wi, reason]) => `\t${worldInfoString(wi)}; ${reason}.`),
+      "",
+      theBundle
+    ].join("\n"));
+  }],
+  // Adds the entries of a bundle from `/state-engine export` to the world-info.
+  [/^import\s+([\s\S]+)$/i, (data, [json]) => {
+    try {
+      const plan = planImport(readBundle(json), data.worldEntries);
+      const mutator = WorldInfoMutator.forData(data);
+      for (const entry of plan.toAdd) mutator.add(entry.keys, entry.text, entry.hidden);
+      mutator.commit();
+      return toActingPlayer(data, reportOnImport(plan));
+    }
+    catch (err) {
+      if (!(err instanceof BadBundleError)) throw err;
+      return toActingPlayer(data, err.message);
+    }
   }],
   // Debug command; clears the cache.
   ["reset", (data) => {
     delete data.state.$$stateDataCache;
+    delete data.state.$$topicMemory;
+    delete data.state.$$worldInfoWrites;
+    delete data.state.$$firstAssociations;
+    delete data.state.$$lastSelections;
+    delete data.state.$$validationIssues;
+    delete data.state.$$explainEntryId;
     turnCache.clearCache(data, "StateEngine.association");
-    return "Cleared State Engine caches.";
+    turnCache.clearCache(data, "StateEngine.trace");
+    return toActingPlayer(data, "Cleared State Engine caches.");
   }]
 ];
 
@@ -1,4 +1,5 @@
-const { shutUpTS, chain, iterReverse, iterPosition } = require("../../utils");
+const { shutUpTS, is, chain, iterReverse, iterPosition } = require("../../utils");
+const { classifyInput } = require("../../input-mode");
 
 /**
  * @template {string | undefined} T
@@ -64,6 +65,75 @@ exports.extractTextFragment = (theSources) => {
  */
 exports.makeHistoryIterator = (history) => chain(history).thru(iterReverse).thru(iterPosition).value();
 
+const $$sources = Symbol("FragmentIteratorResult.sources");
+const $$characters = Symbol("FragmentIteratorResult.characters");
+
+/**
+ * A base for the results of iterators that cut the history into fragments,
+ * like lines or sentences, which may span several actions.  Subclasses only
+ * need to describe the fragment with `desc`.
+ * 
+ * @implements {HistoryIteratorResult}
+ */
+class FragmentIteratorResult {
+  /**
+   * @param {number} offset
+   * @param {Iterable<[number, HistoryEntry]>} entries
+   * @param {number} startOffset
+   * @param {number} endOffset
+   * @param {readonly string[]} characters
+   */
+  constructor(offset, entries, startOffset, endOffset, characters) {
+    const theEntries = [...entries];
+    if (theEntries.length <= 0) {
+      throw new Error(`Cannot build a \`${this.constructor.name}\` without any entries.`);
+    }
+
+    const theTypes = theEntries.map(([, { type }]) => type);
+    const theOrigins = theEntries.map(([source]) => source);
+    const startSource = Math.max(...theOrigins);
+    const endSource = Math.min(...theOrigins);
+    const baseType = theTypes[0];
+
+    const theSources = {
+      entries: new Map(theEntries),
+      types: new Set(theTypes),
+      start: { source: startSource, offset: startOffset },
+      end: { source: endSource, offset: endOffset }
+    };
+
+    const theText = exports.extractTextFragment(theSources);
+    if (!is.string(theText)) {
+      console.log("Failed to extract text fragment.");
+      console.log(theSources);
+      throw new Error("Failed to extract text fragment.");
+    }
+
+    this[$$sources] = theSources;
+    this[$$characters] = characters;
+    this.type = theTypes.every((t) => t === baseType) ? baseType : "combined";
+    this.offset = offset;
+    this.text = theText;
+  }
+
+  get sources() {
+    return this[$$sources];
+  }
+
+  get inputMode() {
+    const { entries, start } = this[$$sources];
+    // The fragment starts in the earliest of its actions.
+    const { text, type } = entries.get(start.source) ?? { text: "", type: "story" };
+    return classifyInput(text, this[$$characters], type);
+  }
+
+  get desc() {
+    return `Fragment ${this.offset}`;
+  }
+}
+
+exports.FragmentIteratorResult = FragmentIteratorResult;
+
 const $$toWrap = Symbol("WrappedIteratorResult.toWrap");
 
 /**
@@ -96,6 +166,10 @@ class WrappedIteratorResult {
     return this.wrappedResult.text;
   }
 
+  get inputMode() {
+    return this.wrappedResult.inputMode;
+  }
+
   get desc() {
     return this.wrappedResult.desc;
   }
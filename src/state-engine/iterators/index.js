@@ -0,0 +1,56 @@
+/// <reference path="../state-engine.d.ts" />
+const actionIterator = require("./perAction");
+const perLineIterator = require("./perLine");
+const perSentenceIterator = require("./perSentence");
+const getConfig = require("../config");
+
+/** @type {Map<string, HistoryIteratorFn>} */
+const registeredIterators = new Map();
+
+/**
+ * Registers a history iterator, so it can be selected with the
+ * `state-engine.historyIterator` configuration.
+ *
+ * @param {string} name
+ * @param {HistoryIteratorFn} iteratorFn
+ * @returns {void}
+ */
+exports.addHistoryIterator = (name, iteratorFn) => {
+  registeredIterators.set(name.toLowerCase(), iteratorFn);
+};
+
+exports.addHistoryIterator("action", actionIterator);
+exports.addHistoryIterator("line", perLineIterator);
+exports.addHistoryIterator("sentence", perSentenceIterator);
+
+/**
+ * Gets the history iterator selected by the `state-engine.historyIterator`
+ * configuration.  Falls back to `defaultIterator` if it is not set or no
+ * iterator by that name was registered.
+ *
+ * @param {import("aid-bundler/src/aidData").AIDData} aidData
+ * @param {HistoryIteratorFn} defaultIterator
+ * The iterator State-Engine was set up with.
+ * @returns {HistoryIteratorFn}
+ */
+exports.getHistoryIterator = (aidData, defaultIterator) => {
+  const name = getConfig(aidData).get("string", "historyIterator");
+  return registeredIterators.get(name.trim().toLowerCase()) ?? defaultIterator;
+};
+
+/**
+ * Gets the name a history iterator was registered with.  Iterators that were
+ * never registered go by the name of their function.
+ *
+ * @param {HistoryIteratorFn} iteratorFn
+ * @returns {string}
+ */
+exports.nameOfHistoryIterator = (iteratorFn) => {
+  for (const [name, registeredFn] of registeredIterators)
+    if (registeredFn === iteratorFn) return name;
+  return iteratorFn.name || "custom";
+};
+
+exports.actionIterator = actionIterator;
+exports.perLineIterator = perLineIterator;
+exports.perSentenceIterator = perSentenceIterator;
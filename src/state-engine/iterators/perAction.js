@@ -1,8 +1,10 @@
 const { chain } = require("../../utils");
 const { makeHistoryIterator } = require("./_helpers");
+const { classifyInput } = require("../../input-mode");
 
 const $$entry = Symbol("ActionIteratorResult.entry");
 const $$sources = Symbol("ActionIteratorResult.sources");
+const $$characters = Symbol("ActionIteratorResult.characters");
 
 /**
  * @implements {HistoryIteratorResult}
@@ -11,9 +13,11 @@ class ActionIteratorResult {
   /**
    * @param {number} offset
    * @param {HistoryEntry} entry 
+   * @param {readonly string[]} characters
    */
-  constructor(offset, entry) {
+  constructor(offset, entry, characters) {
     this[$$entry] = entry;
+    this[$$characters] = characters;
     this[$$sources] = {
       entries: new Map([[offset, entry]]),
       types: new Set([entry.type]),
@@ -36,6 +40,11 @@ class ActionIteratorResult {
     return this[$$entry].text;
   }
 
+  get inputMode() {
+    const { text, type } = this[$$entry];
+    return classifyInput(text, this[$$characters], type);
+  }
+
   get desc() {
     return `Action ${this.offset}`;
   }
@@ -47,10 +56,12 @@ class ActionIteratorResult {
  * 
  * @param {Iterable<HistoryEntry>} history
  * The array of historical actions.
+ * @param {readonly string[]} [characters]
+ * The names of the player-characters.
  * @returns {Iterable<ActionIteratorResult>}
  */
-const actionIterator = (history) => chain(makeHistoryIterator(history))
-  .map(([offset, history]) => new ActionIteratorResult(offset, history))
+const actionIterator = (history, characters = []) => chain(makeHistoryIterator(history))
+  .map(([offset, history]) => new ActionIteratorResult(offset, history, characters))
   .value();
 
 module.exports = actionIterator;
\ No newline at end of file
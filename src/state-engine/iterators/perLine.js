@@ -1,7 +1,4 @@
-const { is } = require("../../utils");
-const { makeHistoryIterator, extractTextFragment } = require("./_helpers");
-
-const $$sources = Symbol("ByLineIteratorResult.sources");
+const { makeHistoryIterator, FragmentIteratorResult } = require("./_helpers");
 
 /**
  * Matches a string containing at least two lines.
@@ -20,52 +17,8 @@ const $$sources = Symbol("ByLineIteratorResult.sources");
  */
 const reLineSplitter = /([\s\S]*)(\n[\s\S]*)/;
 
-/**
- * @implements {HistoryIteratorResult}
- */
-class ByLineIteratorResult {
-  /**
-   * @param {number} offset
-   * @param {Iterable<[number, HistoryEntry]>} entries
-   * @param {number} startOffset
-   * @param {number} endOffset
-   */
-  constructor(offset, entries, startOffset, endOffset) {
-    const theEntries = [...entries];
-    if (theEntries.length <= 0) {
-      throw new Error("Cannot build a `ByLineIteratorResult` without any entries.");
-    }
-
-    const theTypes = theEntries.map(([, { type }]) => type);
-    const theOrigins = theEntries.map(([source]) => source);
-    const startSource = Math.max(...theOrigins);
-    const endSource = Math.min(...theOrigins);
-    const baseType = theTypes[0];
-
-    const theSources = {
-      entries: new Map(theEntries),
-      types: new Set(theTypes),
-      start: { source: startSource, offset: startOffset },
-      end: { source: endSource, offset: endOffset }
-    };
-
-    const theText = extractTextFragment(theSources);
-    if (!is.string(theText)) {
-      console.log("Failed to extract text fragment.");
-      console.log(theSources);
-      throw new Error("Failed to extract text fragment.");
-    }
-
-    this[$$sources] = theSources;
-    this.type = theTypes.every((t) => t === baseType) ? baseType : "combined";
-    this.offset = offset;
-    this.text = theText;
-  }
-
-  get sources() {
-    return this[$$sources];
-  }
-
+/** A line of the history, from the per-line iterator. */
+class ByLineIteratorResult extends FragmentIteratorResult {
   get desc() {
     return `Line ${this.offset}`;
   }
@@ -115,9 +68,11 @@ function* breakApart(entry) {
  * 
  * @param {Iterable<HistoryEntry>} history
  * The array of historical actions.
+ * @param {readonly string[]} [characters]
+ * The names of the player-characters.
  * @returns {Iterable<ByLineIteratorResult>}
  */
-function* perLineIterator(history) {
+function* perLineIterator(history, characters = []) {
   let nextYield = 0;
   /** @type {HistoryData["sources"]} */
   let sources = new Map();
@@ -137,7 +92,7 @@ function* perLineIterator(history) {
       if (nextFragment.type !== "line") continue;
 
       // We need to yield the next batch, if there's something to yield.
-      yield new ByLineIteratorResult(nextYield, sources, nextFragment.offset, endOffset);
+      yield new ByLineIteratorResult(nextYield, sources, nextFragment.offset, endOffset, characters);
       nextYield += 1;
       sources = new Map();
       endOffset = 0;
@@ -146,7 +101,7 @@ function* perLineIterator(history) {
 
   // Before we leave, make sure we yield the last entry.
   if (sources.size) {
-    yield new ByLineIteratorResult(nextYield, sources, 0, endOffset);
+    yield new ByLineIteratorResult(nextYield, sources, 0, endOffset, characters);
   }
 }
 
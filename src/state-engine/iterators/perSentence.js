@@ -0,0 +1,162 @@
+const { makeHistoryIterator, FragmentIteratorResult } = require("./_helpers");
+
+/**
+ * Matches the end of a sentence that is followed by the start of another.
+ * - Capture group `1` contains the terminal punctuation, including ellipses.
+ * - Capture group `2` contains any closing quotes or brackets after it.
+ *
+ * The next sentence must start with an upper-case letter or an opening quote or
+ * bracket; this is what keeps `"Stop!" she yelled.` together.  The whitespace
+ * between the sentences is not part of the match.
+ */
+const reSentenceEnd = /([.!?]+|…)(["”’')\]]*)(?=[ \t]+(?:["“‘(\[]|\p{Lu}))/gu;
+
+/** Matches the word immediately before some terminal punctuation. */
+const reWordBefore = /([\p{L}.]+)$/u;
+
+/** Matches the word "I" at the start of a sentence, after some whitespace. */
+const reLeadingI = /^[ \t]+I\b/;
+
+/** Common abbreviations that end with a period but rarely end a sentence. */
+const abbreviations = new Set([
+  "mr", "mrs", "ms", "dr", "st", "mt", "jr", "sr", "prof", "capt", "lt",
+  "sgt", "col", "gen", "rev", "vs", "no"
+]);
+
+/**
+ * Checks if the period at the end of `head` is more likely to be part of an
+ * abbreviation or an initial, like `Mr.` or `J. R. R.`, than the end of a sentence.
+ *
+ * @param {string} head
+ * The text up to, but not including, the period.
+ * @returns {boolean}
+ */
+const isAbbreviation = (head) => {
+  const [, word] = reWordBefore.exec(head) ?? [];
+  if (!word) return false;
+  // Initials and dotted abbreviations, like `J.` and `e.g.`.
+  if (word.length === 1 || word.includes(".")) return true;
+  return abbreviations.has(word.toLowerCase());
+};
+
+/**
+ * Finds the positions in `text` where a new sentence starts.  Only positions
+ * greater than `0` are provided; the text at `0` may be a continuation of a
+ * sentence from the previous action.
+ *
+ * Every new-line starts a new sentence, so these will also be at the start of
+ * each line, as with the per-line iterator.
+ *
+ * @param {string} text
+ * The text to search.
+ * @param {string} lookahead
+ * The text that comes after `text`.  If a sentence starts at the very end of
+ * `text`, its length will be included.
+ * @returns {number[]}
+ */
+const findSentenceStarts = (text, lookahead) => {
+  const fullText = `${text}${lookahead}`;
+  /** @type {Set<number>} */
+  const starts = new Set();
+
+  for (let i = 1; i <= text.length; i++)
+    if (fullText[i] === "\n") starts.add(i);
+
+  for (const match of fullText.matchAll(reSentenceEnd)) {
+    const [wholeMatch, punctuation] = match;
+    const index = (match.index ?? 0) + wholeMatch.length;
+    if (index <= 0 || index > text.length) continue;
+
+    const head = fullText.slice(0, match.index);
+    if (punctuation === "." && isAbbreviation(head)) continue;
+    // A trailing-off, like `I... I don't know.`, is usually the same sentence.
+    const isEllipsis = punctuation === "…" || punctuation.startsWith("...");
+    if (isEllipsis && reLeadingI.test(fullText.slice(index))) continue;
+
+    starts.add(index);
+  }
+
+  return [...starts].sort((a, b) => a - b);
+};
+
+/** A sentence of the history, from the per-sentence iterator. */
+class BySentenceIteratorResult extends FragmentIteratorResult {
+  get desc() {
+    return `Sentence ${this.offset}`;
+  }
+}
+
+/**
+ * A per-sentence iterator.  This gives each sentence of a long paragraph the
+ * chance to associate its own entries.
+ *
+ * Bear in mind the following:
+ * - Sentences end with `.`, `!`, `?` or an ellipsis, possibly followed by closing
+ *   quotes, but only when the next sentence starts with an upper-case letter or
+ *   an opening quote.  Common abbreviations and initials do not end sentences.
+ * - Every line also starts a new sentence, even if the last line did not end
+ *   with any punctuation.
+ * - Sentences that were split across actions will be merged back together,
+ *   just like lines are with the per-line iterator.
+ * - The whitespace between two sentences is kept at the start of the latter.
+ *
+ * @param {Iterable<HistoryEntry>} history
+ * The array of historical actions.
+ * @param {readonly string[]} [characters]
+ * The names of the player-characters.
+ * @returns {Iterable<BySentenceIteratorResult>}
+ */
+function* perSentenceIterator(history, characters = []) {
+  let nextYield = 0;
+  /** @type {HistoryData["sources"]} */
+  let sources = new Map();
+  let endOffset = 0;
+  let lookahead = "";
+
+  for (const [offset, entry] of makeHistoryIterator(history)) {
+    const { text } = entry;
+    const sentenceStarts = findSentenceStarts(text, lookahead);
+    if (text) lookahead = text;
+
+    // If a sentence starts at the very end of this entry, the fragment we
+    // were building from later entries was a complete sentence.
+    if (sources.size > 0 && sentenceStarts[sentenceStarts.length - 1] === text.length) {
+      yield new BySentenceIteratorResult(nextYield, sources, 0, endOffset, characters);
+      nextYield += 1;
+      sources = new Map();
+      endOffset = 0;
+    }
+
+    // Record the next source encountered if we've started a sentence.
+    if (sources.size > 0) sources.set(offset, entry);
+
+    // Work backward from the end of the entry, like everything else.
+    let fragmentEnd = text.length;
+    for (const sentenceStart of sentenceStarts.reverse()) {
+      if (sentenceStart >= text.length) continue;
+      if (sources.size === 0) {
+        sources.set(offset, entry);
+        endOffset = text.length - fragmentEnd;
+      }
+
+      yield new BySentenceIteratorResult(nextYield, sources, sentenceStart, endOffset, characters);
+      nextYield += 1;
+      sources = new Map();
+      endOffset = 0;
+      fragmentEnd = sentenceStart;
+    }
+
+    // Whatever is left at the start of the entry may continue an earlier sentence.
+    if (fragmentEnd > 0 && sources.size === 0) {
+      sources.set(offset, entry);
+      endOffset = text.length - fragmentEnd;
+    }
+  }
+
+  // Before we leave, make sure we yield the last sentence.
+  if (sources.size) {
+    yield new BySentenceIteratorResult(nextYield, sources, 0, endOffset, characters);
+  }
+}
+
+module.exports = perSentenceIterator;
\ No newline at end of file
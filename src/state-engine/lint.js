@@ -0,0 +1,269 @@
+/// <reference path="./state-engine.d.ts" />
+const { chain, setsIntersect, fromPairs, tuple2 } = require("../utils");
+const { isInclusiveKeyword, isExclusiveKeyword } = require("./parsers/checks");
+const { keywordRegex, keywordString } = require("./MatchableEntry");
+const { TopicResolver } = require("./TopicResolver");
+const { stateDataString, hashWorldInfo, formatValidationIssues } = require("./utils");
+
+/**
+ * @param {any} entry 
+ * @returns {entry is EngineDataForWorldInfo}
+ */
+const isForWorldInfo = (entry) => entry && "forWorldInfo" in entry && entry.forWorldInfo;
+
+/** @type {Set<LintRule>} */
+const registeredRules = new Set();
+
+/**
+ * Registers a `LintRule`, so it will be checked by `/state-engine lint`.
+ *
+ * @param {LintRule} rule
+ * @returns {void}
+ */
+exports.addLintRule = (rule) => {
+  registeredRules.add(rule);
+};
+
+/**
+ * Gets the canonical topics an entry's relations are interested in.
+ *
+ * @param {StateEngineData} entry
+ * @param {TopicResolver} topicResolver
+ * @returns {Set<string>}
+ */
+const topicsOfInterest = (entry, topicResolver) =>
+  topicResolver.canonicalize(entry.relations.map((relDef) => relDef.topic));
+
+/**
+ * Relations to topics that no entry provides can never be satisfied.
+ *
+ * @type {LintRule}
+ */
+const unknownTopics = function* ({ entries, topicResolver, providedTopics }) {
+  for (const entry of entries) {
+    for (const relDef of entry.relations) {
+      if (providedTopics.has(topicResolver.canonical(relDef.topic))) continue;
+      yield {
+        entryId: entry.entryId,
+        message: `It relates to the topic \`${relDef.topic}\`, but no entry provides that topic.`
+      };
+    }
+  }
+};
+
+/**
+ * Entries that relate to each other, directly or through other entries, have
+ * no sensible order to be checked in.  `stateSorter` leaves this undefined.
+ *
+ * @type {LintRule}
+ */
+const relationCycles = function* ({ entries, topicResolver }) {
+  /** @type {Map<StateEngineData, StateEngineData[]>} */
+  const graph = new Map();
+  for (const entry of entries) {
+    const interests = topicsOfInterest(entry, topicResolver);
+    graph.set(entry, entries.filter((other) => {
+      if (other === entry) return false;
+      return setsIntersect(topicResolver.expand(other.topics), interests);
+    }));
+  }
+
+  // Tarjan's algorithm; each strongly connected component with more than one
+  // entry is a cycle.
+  let nextIndex = 0;
+  /** @type {Map<StateEngineData, { index: number, lowLink: number }>} */
+  const visited = new Map();
+  /** @type {StateEngineData[]} */
+  const stack = [];
+  /** @type {StateEngineData[][]} */
+  const cycles = [];
+
+  /** @param {StateEngineData} entry */
+  const connect = (entry) => {
+    const record = { index: nextIndex, lowLink: nextIndex };
+    nextIndex += 1;
+    visited.set(entry, record);
+    stack.push(entry);
+
+    for (const other of graph.get(entry) ?? []) {
+      const otherRecord = visited.get(other);
+      if (!otherRecord) {
+        connect(other);
+        record.lowLink = Math.min(record.lowLink, visited.get(other)?.lowLink ?? record.lowLink);
+      }
+      else if (stack.includes(other)) {
+        record.lowLink = Math.min(record.lowLink, otherRecord.index);
+      }
+    }
+
+    if (record.lowLink !== record.index) return;
+    /** @type {StateEngineData[]} */
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      if (member) component.push(member);
+    } while (member && member !== entry);
+    if (component.length > 1) cycles.push(component);
+  };
+
+  for (const entry of entries)
+    if (!visited.has(entry)) connect(entry);
+
+  for (const cycle of cycles) {
+    for (const entry of cycle) {
+      const others = cycle
+        .filter((other) => other !== entry)
+        .map((other) => stateDataString(other));
+      yield {
+        entryId: entry.entryId,
+        message: [
+          "It relates to entries that relate back to it, so the order they are checked in is undefined:",
+          ...others
+        ].join("\n")
+      };
+    }
+  }
+};
+
+/**
+ * An inclusive keyword that an exclusive keyword will always match as well can
+ * never cause the entry to be associated.
+ *
+ * @type {LintRule}
+ */
+const shadowedKeywords = function* ({ entries }) {
+  for (const entry of entries) {
+    const exclusions = entry.keywords.filter(isExclusiveKeyword);
+    if (exclusions.length === 0) continue;
+
+    for (const kw of entry.keywords) {
+      if (!isInclusiveKeyword(kw)) continue;
+      if (kw.regexFlags != null || kw.compound != null) continue;
+
+      // A keyword that is not an exact-match also matches longer words.
+      const samples = kw.exactMatch ? [kw.value] : [kw.value, `${kw.value}s`];
+      const shadowedBy = exclusions.find((exKw) => samples.every((sample) => keywordRegex(exKw).test(sample)));
+      if (!shadowedBy) continue;
+      yield {
+        entryId: entry.entryId,
+        message: `The keyword \`${keywordString(kw)}\` is always excluded by \`-${keywordString(shadowedBy)}\`, so it can never match.`
+      };
+    }
+  }
+};
+
+/**
+ * State-Engine separates matchers with semi-colons, so commas end up inside
+ * of a single keyword.
+ *
+ * @type {LintRule}
+ */
+const commaSeparatedKeywords = function* ({ entries }) {
+  for (const entry of entries) {
+    for (const kw of entry.keywords) {
+      if (kw.regexFlags != null || kw.compound != null) continue;
+      if (!kw.value.includes(",")) continue;
+      yield {
+        entryId: entry.entryId,
+        message: `The keyword \`${kw.value}\` contains a comma; separate matchers with \`;\` instead.`
+      };
+    }
+  }
+};
+
+exports.addLintRule(unknownTopics);
+exports.addLintRule(relationCycles);
+exports.addLintRule(shadowedKeywords);
+exports.addLintRule(commaSeparatedKeywords);
+
+/**
+ * Builds the `LintContext` from the given entries.
+ *
+ * @param {readonly StateEngineData[]} entries
+ * @returns {LintContext}
+ */
+exports.makeLintContext = (entries) => {
+  /** @type {[string, string[]][]} */
+  const aliasGroups = [];
+  for (const entry of entries) {
+    // The keywords of `$Topic` entries are the aliases of its topic.
+    if (entry.type !== "Topic") continue;
+    const [topic] = entry.topics;
+    if (!topic) continue;
+    aliasGroups.push([topic, entry.keywords.map((kw) => kw.value)]);
+  }
+
+  const topicResolver = new TopicResolver(aliasGroups);
+  const providedTopics = topicResolver.expand(chain(entries).map((entry) => entry.topics).flatten().value());
+  return { entries, topicResolver, providedTopics };
+};
+
+/**
+ * Checks the given entries with all the registered rules.
+ *
+ * @param {readonly StateEngineData[]} entries
+ * @returns {LintIssue[]}
+ */
+exports.lintEntries = (entries) => {
+  const lintCtx = exports.makeLintContext(entries);
+  return chain(registeredRules)
+    .map((rule) => rule(lintCtx))
+    .flatten()
+    .toArray();
+};
+
+/**
+ * Produces a report of possible problems with the world-info.
+ *
+ * This works from the entries State-Engine processed on the last turn, so any
+ * world-info that was added or changed since then, or that failed validation,
+ * cannot be checked.
+ *
+ * @param {AIDData} aidData
+ * @returns {string}
+ */
+exports.lintWorldInfo = (aidData) => {
+  const { $$stateDataCache } = aidData.state;
+  if (!$$stateDataCache) return "No State-Engine data is available.";
+
+  const entries = Object.values($$stateDataCache);
+  const issues = exports.lintEntries(entries);
+  const worldInfoMap = fromPairs(aidData.worldEntries.map((wi) => tuple2(wi.id, wi)));
+
+  const uncheckedCount = aidData.worldEntries.filter((wi) => {
+    const cached = $$stateDataCache[wi.id];
+    if (!cached) return true;
+    if (!isForWorldInfo(cached) || !cached.infoHash) return false;
+    return hashWorldInfo(wi)?.full !== cached.infoHash.full;
+  }).length;
+
+  const theFooter = uncheckedCount === 0 ? undefined
+    : `${uncheckedCount} world-info entries could not be checked; they were added or changed since the last turn or failed validation.  Take a turn and lint again.`;
+
+  if (issues.length === 0) {
+    const theReport = "No problems were found in the world-info.";
+    return theFooter ? `${theReport}\n\n${theFooter}` : theReport;
+  }
+
+  const theReport = chain(entries)
+    .map((entry) => {
+      const entryIssues = issues.filter((issue) => issue.entryId === entry.entryId);
+      if (entryIssues.length === 0) return undefined;
+      const { type, entryId, topics } = entry;
+      /** @type {WorldInfoEntry | undefined} */
+      const info = worldInfoMap[entryId];
+      const infoName = info?.name?.trim() || undefined;
+      return tuple2(
+        stateDataString({ type, entryId, topics, infoName }),
+        entryIssues.map((issue) => issue.message)
+      );
+    })
+    .filter(Boolean)
+    .value((pairs) => formatValidationIssues(
+      pairs,
+      "The following possible problems were found in the world-info:"
+    ));
+
+  return theFooter ? `${theReport}\n\n${theFooter}` : theReport;
+};
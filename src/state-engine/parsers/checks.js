@@ -4,7 +4,13 @@ exports.ATTRS = Object.freeze({
   TYPE: asConstant("@type"),
   TOPICS: asConstant("@topics"),
   KEYWORDS: asConstant("@keywords"),
-  RELATIONS: asConstant("@relations")
+  RELATIONS: asConstant("@relations"),
+  CONDITIONS: asConstant("@conditions"),
+  EXPIRES: asConstant("@expires"),
+  PRIORITY: asConstant("@priority"),
+  BIAS: asConstant("@bias"),
+  SOURCES: asConstant("@sources"),
+  COOLDOWN: asConstant("@cooldown")
 });
 
 exports.ENTRY_TYPES = Object.freeze({
@@ -18,6 +24,11 @@ exports.KEYWORD_MODIFIERS = Object.freeze({
   EXCLUDE: asConstant("exclude")
 });
 
+exports.COMPOUND_OPERATORS = Object.freeze({
+  NEAR: asConstant("near"),
+  SENTENCE: asConstant("sentence")
+});
+
 exports.RELATION_MODIFIERS = Object.freeze({
   ALL_OF: asConstant("allOf"),
   AT_LEAST_ONE: asConstant("atLeastOne"),
@@ -25,6 +36,21 @@ exports.RELATION_MODIFIERS = Object.freeze({
   NEGATED: asConstant("negated")
 });
 
+exports.CONDITION_KINDS = Object.freeze({
+  HAS: asConstant("has"),
+  STAT: asConstant("stat"),
+  SKILL: asConstant("skill")
+});
+
+exports.COMPARISONS = Object.freeze({
+  GTE: asConstant(">="),
+  LTE: asConstant("<="),
+  NE: asConstant("!="),
+  GT: asConstant(">"),
+  LT: asConstant("<"),
+  EQ: asConstant("=")
+});
+
 /**
  * @param {any} value
  * @param {string} type
@@ -44,6 +70,8 @@ exports.isExclusiveKeyword = (value) => hasTypeOf(value, exports.KEYWORD_MODIFIE
 exports.isKeyword = (value) => exports.isInclusiveKeyword(value) || exports.isExclusiveKeyword(value);
 /** @type {(value: AnyMatcherDef) => value is AnyRelationDef} */
 exports.isRelation = (value) => "type" in value && relationTypes.has(value.type);
+/** @type {(value: AnyMatcherDef) => value is ConditionDef} */
+exports.isCondition = (value) => hasTypeOf(value, "condition");
 /** @type {<TType extends RelationTypes>(value: AnyMatcherDef, type: TType) => value is RelationDef<TType>} */
 exports.isRelationOfType = (value, type) => hasTypeOf(value, type);
 /** @type {(value: AnyMatcherDef) => value is RelationDef<"negated">} */
@@ -24,4 +24,30 @@ exports.keywords = (entry) =>
 
 /** @type {PatternExtractor<AnyRelationDef[]>} */
 exports.relations = (entry) =>
-  extractClassic.relations(entry) ?? extractAttr.relations(entry) ?? extractField.relations(entry);
\ No newline at end of file
+  extractClassic.relations(entry) ?? extractAttr.relations(entry) ?? extractField.relations(entry);
+
+/** @type {PatternExtractor<ConditionDef[]>} */
+exports.conditions = (entry) =>
+  extractClassic.conditions(entry) ?? extractAttr.conditions(entry) ?? extractField.conditions(entry);
+
+// Vanilla entries have no way to give a lifetime.
+/** @type {PatternExtractor<number>} */
+exports.lifetime = (entry) =>
+  extractClassic.lifetime(entry) ?? extractAttr.lifetime(entry);
+
+// Vanilla entries have no way to be tuned.
+/** @type {PatternExtractor<number>} */
+exports.priority = (entry) =>
+  extractClassic.priority(entry) ?? extractAttr.priority(entry);
+
+/** @type {PatternExtractor<number>} */
+exports.bias = (entry) =>
+  extractClassic.bias(entry) ?? extractAttr.bias(entry);
+
+// The classic syntax has no way to limit the sources.
+/** @type {PatternExtractor<AssociationTargets[]>} */
+exports.sources = (entry) => extractAttr.sources(entry);
+
+/** @type {PatternExtractor<number>} */
+exports.cooldown = (entry) =>
+  extractClassic.cooldown(entry) ?? extractAttr.cooldown(entry);
\ No newline at end of file
@@ -4,6 +4,9 @@ const pSeparators = require("./parts/separators");
 const pEntryTypes = require("./parts/entryTypes");
 const pKeywords = require("./parts/keywords");
 const pTopic = require("./parts/topics");
+const pConditions = require("./parts/conditions");
+const pLifetime = require("./parts/lifetime");
+const pTuning = require("./parts/tuning");
 const { ATTRS } = require("./checks");
 const { ParsingError } = require("./errors");
 
@@ -11,6 +14,11 @@ const { ParsingError } = require("./errors");
 
 const topicList = pTopic.topic.sepBy(pSeparators.comma);
 
+const conditionList = p.sepBy(
+  pConditions.condition.trim(pSeparators.ws),
+  pSeparators.comma.or(pSeparators.newline)
+);
+
 /** @type {PatternExtractor<AnyEntryTypeDef>} */
 exports.type = (entry) => {
   const seType = entry?.attributes?.[ATTRS.TYPE];
@@ -53,4 +61,57 @@ exports.relations = (entry) => {
   const result = pTopic.commaRelations.parse(seRelations);
   if (result.status) return result.value;
   throw new ParsingError(entry, "List of Relations", ["attributes", ATTRS.RELATIONS], seRelations, result);
-};
\ No newline at end of file
+};
+
+/** @type {PatternExtractor<ConditionDef[]>} */
+exports.conditions = (entry) => {
+  const seConditions = entry?.attributes?.[ATTRS.CONDITIONS];
+  if (!is.string(seConditions) || !seConditions) return undefined;
+  if (!seConditions.trim()) return [];
+
+  const result = conditionList.parse(seConditions);
+  if (result.status) return result.value;
+  throw new ParsingError(entry, "List of Conditions", ["attributes", ATTRS.CONDITIONS], seConditions, result);
+};
+
+/** @type {PatternExtractor<number>} */
+exports.lifetime = (entry) => {
+  const seExpires = entry?.attributes?.[ATTRS.EXPIRES];
+  if (!is.string(seExpires) || !seExpires) return undefined;
+  if (!seExpires.trim()) return undefined;
+
+  const result = pLifetime.turns.trim(p.optWhitespace).parse(seExpires);
+  if (result.status) return result.value;
+  throw new ParsingError(entry, "Lifetime in Turns", ["attributes", ATTRS.EXPIRES], seExpires, result);
+};
+
+/**
+ * Builds an extractor for an attribute that is parsed whole, like `@priority`.
+ * 
+ * @template T
+ * @param {string} attrKey
+ * @param {string} desc
+ * @param {p.Parser<T>} parser
+ * @returns {PatternExtractor<T>}
+ */
+const tuningExtractor = (attrKey, desc, parser) => (entry) => {
+  const seValue = entry?.attributes?.[attrKey];
+  if (!is.string(seValue) || !seValue) return undefined;
+  if (!seValue.trim()) return undefined;
+
+  const result = parser.trim(p.optWhitespace).parse(seValue);
+  if (result.status) return result.value;
+  throw new ParsingError(entry, desc, ["attributes", attrKey], seValue, result);
+};
+
+/** @type {PatternExtractor<number>} */
+exports.priority = tuningExtractor(ATTRS.PRIORITY, "Priority", pTuning.priority);
+
+/** @type {PatternExtractor<number>} */
+exports.bias = tuningExtractor(ATTRS.BIAS, "Score Bias", pTuning.bias);
+
+/** @type {PatternExtractor<AssociationTargets[]>} */
+exports.sources = tuningExtractor(ATTRS.SOURCES, "List of Sources", pTuning.sources);
+
+/** @type {PatternExtractor<number>} */
+exports.cooldown = tuningExtractor(ATTRS.COOLDOWN, "Cooldown in Turns", pTuning.cooldown);
\ No newline at end of file
@@ -53,4 +53,59 @@ exports.relations = (entry) => {
   const result = matchClassicKey(wiKeys);
   if (result.status) return result.value.relations;
   throw new ParsingError(entry, "Classic State-Engine Syntax", ["keys"], wiKeys, result);
+};
+
+/** @type {PatternExtractor<ConditionDef[]>} */
+exports.conditions = (entry) => {
+  const wiKeys = entry?.keys;
+  if (!wiKeys) return undefined;
+  if (!wiKeys.trim().startsWith("$")) return undefined;
+
+  const result = matchClassicKey(wiKeys);
+  if (result.status) return result.value.conditions;
+  throw new ParsingError(entry, "Classic State-Engine Syntax", ["keys"], wiKeys, result);
+};
+
+/** @type {PatternExtractor<number>} */
+exports.lifetime = (entry) => {
+  const wiKeys = entry?.keys;
+  if (!wiKeys) return undefined;
+  if (!wiKeys.trim().startsWith("$")) return undefined;
+
+  const result = matchClassicKey(wiKeys);
+  if (result.status) return result.value.lifetime;
+  throw new ParsingError(entry, "Classic State-Engine Syntax", ["keys"], wiKeys, result);
+};
+
+/** @type {PatternExtractor<number>} */
+exports.priority = (entry) => {
+  const wiKeys = entry?.keys;
+  if (!wiKeys) return undefined;
+  if (!wiKeys.trim().startsWith("$")) return undefined;
+
+  const result = matchClassicKey(wiKeys);
+  if (result.status) return result.value.tuning?.priority;
+  throw new ParsingError(entry, "Classic State-Engine Syntax", ["keys"], wiKeys, result);
+};
+
+/** @type {PatternExtractor<number>} */
+exports.bias = (entry) => {
+  const wiKeys = entry?.keys;
+  if (!wiKeys) return undefined;
+  if (!wiKeys.trim().startsWith("$")) return undefined;
+
+  const result = matchClassicKey(wiKeys);
+  if (result.status) return result.value.tuning?.bias;
+  throw new ParsingError(entry, "Classic State-Engine Syntax", ["keys"], wiKeys, result);
+};
+
+/** @type {PatternExtractor<number>} */
+exports.cooldown = (entry) => {
+  const wiKeys = entry?.keys;
+  if (!wiKeys) return undefined;
+  if (!wiKeys.trim().startsWith("$")) return undefined;
+
+  const result = matchClassicKey(wiKeys);
+  if (result.status) return result.value.tuning?.cooldown;
+  throw new ParsingError(entry, "Classic State-Engine Syntax", ["keys"], wiKeys, result);
 };
\ No newline at end of file
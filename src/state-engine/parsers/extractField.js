@@ -5,14 +5,15 @@ const pSeparators = require("./parts/separators");
 const pEntryTypes = require("./parts/entryTypes");
 const { comma: { keyword } } = require("./parts/keywords");
 const { relation } = require("./parts/topics");
-const { isRelation } = require("./checks");
+const { condition } = require("./parts/conditions");
+const { isRelation, isCondition } = require("./checks");
 const { ParsingError, isParsimmonFailure } = require("./errors");
 
 // This is the fall-back extractor for entries that do not match any of the other methods.
 // It allows backward compatibility with vanilla entries.
 
 /** @type {p.Parser<AnyMatcherDef>} */
-const matcher = p.alt(relation, keyword);
+const matcher = p.alt(condition, relation, keyword);
 
 const matcherList = p.sepBy(matcher.trim(pSeparators.ws), pSeparators.comma);
 
@@ -21,12 +22,16 @@ const matchMatchers = memoize((wiKeys) => {
   if (!result.status) throw result;
   // @ts-ignore - TS is stupid with defaults in destructuring.
   // It's still typing correctly, though.
-  const { relations = [], keywords = [] } = chain(result.value)
-    .map((matcher) => isRelation(matcher) ? tuple("relations", matcher) : tuple("keywords", matcher))
+  const { relations = [], keywords = [], conditions = [] } = chain(result.value)
+    .map((matcher) => {
+      if (isCondition(matcher)) return tuple("conditions", matcher);
+      if (isRelation(matcher)) return tuple("relations", matcher);
+      return tuple("keywords", matcher);
+    })
     .thru((kvps) => partition(kvps))
     .value((kvps) => fromPairs(kvps));
   
-  return { relations, keywords };
+  return { relations, keywords, conditions };
 });
 
 /** @type {PatternExtractor<AnyEntryTypeDef>} */
@@ -71,4 +76,19 @@ exports.relations = (entry) => {
     if (!isParsimmonFailure(error)) throw error;
     throw new ParsingError(entry, "List containing Relations", ["keys"], wiKeys, error);
   }
+};
+
+/** @type {PatternExtractor<ConditionDef[]>} */
+exports.conditions = (entry) => {
+  const wiKeys = entry?.keys;
+  if (!is.string(wiKeys) || !wiKeys) return undefined;
+  if (!wiKeys.trim()) return [];
+
+  try {
+    return matchMatchers(wiKeys).conditions;
+  }
+  catch (error) {
+    if (!isParsimmonFailure(error)) throw error;
+    throw new ParsingError(entry, "List containing Conditions", ["keys"], wiKeys, error);
+  }
 };
\ No newline at end of file
@@ -1,13 +1,15 @@
 const p = require("parsimmon");
 const { chain, partition, fromPairs, tuple } = require("../../../utils");
-const { isRelation } = require("../checks");
+const { isRelation, isCondition } = require("../checks");
 const isolatedBetween = require("../combinators/isolatedBetween");
 const sep = require("./separators");
 const { semi: { keyword } } = require("./keywords");
 const { topic, relation } = require("./topics");
+const { condition } = require("./conditions");
+const { braced: settings } = require("./tuning");
 
 /** @type {p.Parser<AnyMatcherDef>} */
-exports.matcher = p.alt(relation, keyword);
+exports.matcher = p.alt(condition, relation, keyword);
 
 exports.matchers = p.sepBy(exports.matcher.trim(sep.ws), sep.semi);
 
@@ -28,21 +30,35 @@ exports.infoContext = p.alt(
 
 exports.markedType = p.regexp(/\$(\w+)/, 1).desc("an entry type, prefixed with the dollar-sign ($)");
 
+/** @type {p.Parser<BracedSettings>} */
+exports.infoSettings = p.alt(
+  settings,
+  // Optional settings area.
+  p.succeed({})
+);
+
 /** @type {p.Parser<Omit<StateEngineData, "entryId" | "text">>} */
 exports.infoEntry = p
   .seqMap(
     exports.markedType,
     exports.infoContext,
+    exports.infoSettings,
     exports.infoMatchers,
-    (type, topics, matchers) => {
+    (type, topics, settings, matchers) => {
+      const { expires: lifetime, ...tuning } = settings;
+
       // @ts-ignore - TS is stupid with defaults in destructuring.
       // It's still typing correctly, though.
-      const { relations = [], keywords = [] } = chain(matchers)
-        .map((matcher) => isRelation(matcher) ? tuple("relations", matcher) : tuple("keywords", matcher))
+      const { relations = [], keywords = [], conditions = [] } = chain(matchers)
+        .map((matcher) => {
+          if (isCondition(matcher)) return tuple("conditions", matcher);
+          if (isRelation(matcher)) return tuple("relations", matcher);
+          return tuple("keywords", matcher);
+        })
         .thru((kvps) => partition(kvps))
         .value((kvps) => fromPairs(kvps));
       
-      return { type, topics, relations, keywords };
+      return { type, topics, relations, keywords, conditions, lifetime, tuning };
     }
   )
   .trim(sep.ws)
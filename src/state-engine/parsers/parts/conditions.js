@@ -0,0 +1,46 @@
+const p = require("parsimmon");
+const { CONDITION_KINDS: { HAS, STAT, SKILL } } = require("../checks");
+const { COMPARISONS: { GTE, LTE, NE, GT, LT, EQ } } = require("../checks");
+const sep = require("./separators");
+
+/** @type {p.Parser<ConditionKinds>} */
+const conditionKind = p.alt(
+  p.regexp(/has/i).result(HAS),
+  p.regexp(/stat/i).result(STAT),
+  p.regexp(/skill/i).result(SKILL)
+).desc("a condition kind (has, stat, or skill)");
+
+// Longer operators must come first, or `>` would match the start of `>=`.
+/** @type {p.Parser<Comparisons>} */
+const comparison = p.alt(
+  p.string(GTE).result(GTE),
+  p.string(LTE).result(LTE),
+  p.string(NE).result(NE),
+  p.string(GT).result(GT),
+  p.string(LT).result(LT),
+  p.string(EQ).result(EQ)
+).desc("a comparison (>=, <=, !=, >, <, =)");
+
+const conditionName = p.regex(/[\w\d][\w\d' -]*/)
+  .map((s) => s.trim())
+  .desc("the name of an item, stat, or skill");
+
+const conditionValue = p.regex(/-?\d+/)
+  .map(Number)
+  .desc("a whole number");
+
+/**
+ * A condition on the game-state, like `%has:Lantern` or `%stat:strength>=5`.
+ * Without a comparison, it checks that the quantity or level is at least `1`.
+ * 
+ * @type {p.Parser<ConditionDef>}
+ */
+exports.condition = p.seqMap(
+  p.string("%").then(conditionKind).skip(p.string(":")),
+  conditionName,
+  p.seq(comparison.trim(sep.ws), conditionValue).fallback(null),
+  (kind, name, compared) => {
+    const [comparison, value] = compared ?? [GTE, 1];
+    return { type: "condition", kind, name, comparison, value };
+  }
+);
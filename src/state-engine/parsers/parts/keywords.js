@@ -1,6 +1,7 @@
 const p = require("parsimmon");
 const { dew } = require("../../../utils");
 const { KEYWORD_MODIFIERS: { INCLUDE, EXCLUDE } } = require("../checks");
+const { COMPOUND_OPERATORS: { NEAR, SENTENCE } } = require("../checks");
 const sep = require("./separators");
 
 /**
@@ -12,6 +13,38 @@ const sep = require("./separators");
 exports.keywordWrapper = (value, exactMatch = false, type = INCLUDE) =>
   ({ type, exactMatch, value });
 
+/** The flags a regular expression keyword may use; `g` is always applied. */
+const reRegexFlags = /^(?!.*(.).*\1)[imsu]*$/;
+
+/**
+ * Checks that the source and flags of a regular expression keyword will
+ * actually compile.
+ * 
+ * @param {string} source
+ * @param {string} flags
+ * @returns {boolean}
+ */
+const isValidRegex = (source, flags) => {
+  if (!reRegexFlags.test(flags)) return false;
+  try {
+    new RegExp(source, `${flags}g`);
+    return true;
+  }
+  catch (error) {
+    return false;
+  }
+};
+
+exports.regexKeyword = p.regex(/\/((?:\\.|[^/\\\n])+)\/([a-z]*)/)
+  .desc("a regular expression keyword (/pattern/flags)")
+  .chain((text) => {
+    const lastSlash = text.lastIndexOf("/");
+    const source = text.slice(1, lastSlash);
+    const flags = text.slice(lastSlash + 1);
+    if (!isValidRegex(source, flags)) return p.fail("a valid regular expression");
+    return p.succeed({ ...exports.keywordWrapper(source), regexFlags: flags });
+  });
+
 exports.doubleQuoteKeyword = p.regex(/"([^"]*?)"/, 1)
   .map((text) => exports.keywordWrapper(text, true))
   .desc(`a keyword in double-quotes (")`);
@@ -27,6 +60,75 @@ exports.bareCommaKeyword = p.regex(/[\w\d][^,]*/)
   .map(exports.keywordWrapper)
   .desc("a bare keyword");
 
+/**
+ * Describes a term of a compound keyword the same way it would be written.
+ * 
+ * @param {CompoundKeywordTerm} term
+ * @returns {string}
+ */
+const termString = (term) => term.exactMatch ? `"${term.value}"` : term.value;
+
+/**
+ * The quoted terms of compound keywords.
+ * 
+ * @type {p.Parser<CompoundKeywordTerm>}
+ */
+const quotedTerm = p.alt(
+  exports.doubleQuoteKeyword,
+  exports.backtickKeyword
+).map(({ exactMatch, value }) => ({ exactMatch, value }));
+
+/**
+ * The terms of compound keywords.  Bare terms are limited to words, so they
+ * will not consume the operator that follows them.
+ * 
+ * @type {p.Parser<CompoundKeywordTerm>}
+ */
+const compoundTerm = p.alt(
+  quotedTerm,
+  p.regex(/[\w\d][\w\d' -]*/)
+    .map((s) => s.trim())
+    .map(exports.keywordWrapper)
+    .desc("a bare keyword")
+    .map(({ exactMatch, value }) => ({ exactMatch, value }))
+);
+
+/** @typedef {Omit<CompoundKeywordDef, "terms">} CompoundOperator */
+
+/** @type {p.Parser<CompoundOperator>} */
+const nearOperator = p.regex(/~[ \t]*([1-9]\d*)/, 1)
+  .map((distance) => ({ operator: NEAR, distance: Number(distance) }))
+  .desc("a proximity operator (~N)");
+
+/** @type {p.Parser<CompoundOperator>} */
+const sentenceOperator = p.string("+")
+  .map(() => ({ operator: SENTENCE }))
+  .desc("a same-sentence operator (+)");
+
+/**
+ * Builds a compound keyword from its parts.
+ * 
+ * @param {CompoundKeywordTerm} left
+ * @param {CompoundOperator} op
+ * @param {CompoundKeywordTerm} right
+ * @returns {AnyKeywordDef}
+ */
+const toCompound = (left, op, right) => {
+  /** @type {CompoundKeywordDef} */
+  const compound = { ...op, terms: [left, right] };
+  const opString = compound.operator === NEAR ? `~${compound.distance}` : "+";
+  const value = `${termString(left)} ${opString} ${termString(right)}`;
+  return { ...exports.keywordWrapper(value), compound };
+};
+
+/** @type {p.Parser<AnyKeywordDef>} */
+exports.compoundKeyword = p.alt(
+  p.seqMap(compoundTerm, nearOperator.trim(sep.ws), compoundTerm, toCompound),
+  // A bare phrase like `Q + A session` was always a single keyword, so the
+  // terms of a same-sentence keyword must be quoted.
+  p.seqMap(quotedTerm, sentenceOperator.trim(sep.ws), quotedTerm, toCompound)
+);
+
 /** @type {p.Parser<KeywordTypes>} */
 const keywordType = p.alt(
   p.string("-").result(EXCLUDE),
@@ -43,8 +145,10 @@ exports.semi = dew(() => {
   const keyword = p.seqMap(
     exports.optKeywordType,
     p.alt(
+      exports.compoundKeyword,
       exports.doubleQuoteKeyword,
       exports.backtickKeyword,
+      exports.regexKeyword,
       exports.bareSemiKeyword
     ),
     (type, keywordDef) => {
@@ -65,8 +169,10 @@ exports.comma = dew(() => {
   const keyword = p.seqMap(
     exports.optKeywordType,
     p.alt(
+      exports.compoundKeyword,
       exports.doubleQuoteKeyword,
       exports.backtickKeyword,
+      exports.regexKeyword,
       exports.bareCommaKeyword
     ),
     (type, keyword) => ({ ...keyword, type })
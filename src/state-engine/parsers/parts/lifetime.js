@@ -0,0 +1,6 @@
+const p = require("parsimmon");
+
+/** @type {p.Parser<number>} */
+exports.turns = p.regexp(/\d+/)
+  .map(Number)
+  .desc("a whole number of turns");
@@ -0,0 +1,73 @@
+const p = require("parsimmon");
+const { topic } = require("./topics");
+
+/**
+ * Parses a tag, like `{{player}}`, with the given parser for its contents.
+ *
+ * @template T
+ * @param {p.Parser<T>} inner
+ * @returns {p.Parser<T>}
+ */
+const tag = (inner) => inner.trim(p.optWhitespace).wrap(p.string("{{"), p.string("}}"));
+
+/** @type {(value: string) => TemplateNode.Text} */
+const toText = (value) => ({ type: "text", value });
+
+/** @type {() => TemplateNode.Player} */
+const toPlayer = () => ({ type: "player" });
+
+/** @type {(options: string[]) => TemplateNode.Random} */
+const toRandom = (options) => ({ type: "random", options: options.map((option) => option.trim()) });
+
+/** @type {p.Parser<TemplateNode.Text>} */
+const textNode = p.regexp(/(?:(?!\{\{)[^])+/)
+  .map(toText)
+  .desc("some text");
+
+/** @type {p.Parser<TemplateNode.Player>} */
+const playerNode = tag(p.regexp(/player/i))
+  .map(toPlayer)
+  .desc("a `{{player}}` tag");
+
+/** @type {p.Parser<TemplateNode.Random>} */
+const randomNode = tag(
+  p.regexp(/random/i)
+    .skip(p.whitespace)
+    .then(p.regexp(/[^|}]*/).sepBy1(p.string("|")))
+)
+  .map(toRandom)
+  .desc("a `{{random a|b}}` tag");
+
+/** @type {p.Parser<TemplateNode.If["negated"]>} */
+const ifCheck = p.alt(
+  p.string(":").result(false),
+  p.string("!").result(true)
+).desc("a topic check (: or !)");
+
+/** @type {p.Parser<[negated: boolean, topic: string]>} */
+const ifOpen = tag(p.regexp(/if/i).skip(p.whitespace).then(p.seq(ifCheck, topic.map((s) => s.trim()))))
+  .desc("an `{{if :Topic}}` tag");
+
+const ifClose = tag(p.regexp(/\/if/i)).desc("an `{{/if}}` tag");
+
+/** @type {p.Parser<AnyTemplateNode[]>} */
+const nodes = p.lazy(() => p.alt(textNode, playerNode, randomNode, ifNode).many());
+
+/** @type {p.Parser<TemplateNode.If>} */
+const ifNode = p.seqMap(
+  ifOpen,
+  nodes,
+  ifClose,
+  ([negated, topic], children) => ({ type: "if", negated, topic, children })
+);
+
+/**
+ * A template for an entry's text.  It supports:
+ * - `{{player}}` - The name of the player's character.
+ * - `{{random a|b|c}}` - One of the options, chosen at random.
+ * - `{{if :Topic}}...{{/if}}` - The text inside, only when the topic is in context.
+ * - `{{if !Topic}}...{{/if}}` - The text inside, only when the topic is not in context.
+ *
+ * @type {p.Parser<AnyTemplateNode[]>}
+ */
+exports.template = nodes.skip(p.eof);
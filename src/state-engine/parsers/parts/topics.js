@@ -17,9 +17,10 @@ exports.relationType = relationType
 /** @type {p.Parser<RelationTypes>} */
 exports.optRelationType = relationType.fallback(ALL_OF);
 
-exports.topic = p.regex(/[\w\d ]+/)
-  .map((s) => s.trim())
-  .desc("a topic tag (letters, numbers, and spaces)");
+exports.topic = p.regex(/[\w\d ]+(?:\/[\w\d ]+)*/)
+  // Namespaced topics, like `Fox/Arctic`, are trimmed around each slash.
+  .map((s) => s.split("/").map((part) => part.trim()).join("/"))
+  .desc("a topic tag (letters, numbers, and spaces; sub-topics separated by /)");
 
 /** @type {p.Parser<AnyRelationDef>} */
 exports.relation = p.seqMap(
@@ -0,0 +1,77 @@
+const p = require("parsimmon");
+const { fromPairs, tuple2 } = require("../../../utils");
+const sep = require("./separators");
+const { turns } = require("./lifetime");
+
+/** @type {p.Parser<number>} */
+exports.priority = p.regexp(/-?\d+/)
+  .map(Number)
+  .desc("a whole number priority");
+
+/** @type {p.Parser<number>} */
+exports.bias = p.regexp(/\d+(?:\.\d+)?|\.\d+/)
+  .map(Number)
+  .desc("a score multiplier, like 2 or 0.5");
+
+/** @type {p.Parser<number>} */
+exports.cooldown = turns;
+
+/** @type {p.Parser<AssociationTargets>} */
+exports.source = p.alt(
+  // Longer names first, or `implicit` would match the start of `implicitRef`.
+  p.string("implicitRef"),
+  p.string("implicit"),
+  p.string("playerMemory"),
+  p.string("authorsNote"),
+  p.string("frontMemory"),
+  p.string("history")
+).desc("an association source (implicit, implicitRef, playerMemory, authorsNote, frontMemory, or history)");
+
+/** @type {p.Parser<AssociationTargets[]>} */
+exports.sources = p.sepBy1(exports.source.trim(sep.ws), sep.comma);
+
+/**
+ * Creates a parser for a `name=value` setting of the braces of a classic key.
+ * 
+ * @template {keyof BracedSettings} TName
+ * @param {TName} name
+ * @param {p.Parser<Required<BracedSettings>[TName]>} valueParser
+ * @returns {p.Parser<[TName, Required<BracedSettings>[TName]]>}
+ */
+const setting = (name, valueParser) => p
+  .string(name)
+  .skip(p.string("=").trim(sep.ws))
+  .then(valueParser)
+  .map((value) => tuple2(name, value));
+
+/** @type {p.Parser<[keyof BracedSettings, any]>} */
+exports.setting = p.alt(
+  setting("expires", turns),
+  setting("priority", exports.priority),
+  setting("bias", exports.bias),
+  setting("cooldown", exports.cooldown)
+).desc("a setting, like `expires=10`, `priority=70`, `bias=2`, or `cooldown=3`");
+
+const settings = p.sepBy1(exports.setting.trim(sep.ws), sep.comma);
+
+/**
+ * The settings given after the topics of a classic key, like the
+ * `{expires=10,priority=70}` in `$State[Fox]{expires=10,priority=70}(fox)`.
+ * When a setting is given more than once, the last one wins.
+ * 
+ * The lifetime may be given first as just its number, so `$State{10}` is
+ * short for `$State{expires=10}`.
+ * 
+ * @type {p.Parser<BracedSettings>}
+ */
+exports.braced = p
+  .alt(
+    p.seqMap(
+      turns.trim(sep.ws).map((lifetime) => tuple2("expires", lifetime)),
+      sep.comma.then(settings).fallback([]),
+      (lifetime, rest) => [lifetime, ...rest]
+    ),
+    settings
+  )
+  .wrap(p.string("{"), p.string("}"))
+  .map((settings) => fromPairs(settings));
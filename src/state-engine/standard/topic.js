@@ -0,0 +1,83 @@
+/// <reference path="../state-engine.d.ts" />
+const { addStateEntry } = require("../registry");
+const { EngineEntryForWorldInfo } = require("../EngineEntryForWorldInfo");
+const { isExclusiveKeyword } = require("../parsers/checks");
+
+/**
+ * Does some global setup for this module.
+ *
+ * @type {BundledModifierFn}
+ */
+const init = () => {
+  /**
+   * A state entry that declares aliases for a topic.  Its keywords are not
+   * matched against any text; instead, they are other topics that relations
+   * should treat as if they were this entry's topic.
+   *
+   * The text of this entry is not used and it will never be associated.
+   */
+  class TopicEntry extends EngineEntryForWorldInfo {
+    static get forType() { return "Topic"; }
+    get targetSources() { return []; }
+
+    /**
+     * The keywords of the entry are the aliases of its topic.
+     *
+     * @type {string[]}
+     */
+    get topicAliases() {
+      return this.keywords.map((kw) => kw.value);
+    }
+
+    validator() {
+      const issues = super.validator();
+      if (this.topics.size !== 1)
+        issues.push(`${this.bestName} must have exactly one topic.`);
+      if (this.keywords.length === 0)
+        issues.push(`${this.bestName} requires at least one alias.`);
+      if (this.relations.length > 0)
+        issues.push(`${this.bestName} cannot have relations.`);
+      if (this.conditions.length > 0)
+        issues.push(`${this.bestName} cannot have conditions.`);
+      for (const kw of this.keywords) {
+        if (isExclusiveKeyword(kw) || kw.regexFlags != null || kw.compound != null)
+          issues.push(`${this.bestName} has an alias that is not a simple topic: ${kw.value}`);
+      }
+      return issues;
+    }
+
+    /**
+     * This entry is never associated with anything.
+     *
+     * @returns {false}
+     */
+    associator() {
+      return false;
+    }
+
+    /**
+     * This entry will never actually be used for its text.
+     *
+     * @returns {number}
+     */
+    valuator() {
+      return 0;
+    }
+
+    /**
+     * This entry will never actually be used for its text.
+     *
+     * @returns {false}
+     */
+    postRules() {
+      return false;
+    }
+  }
+
+  addStateEntry(TopicEntry);
+};
+
+/** @type {StateModule} */
+exports.stateModule = {
+  pre: [init]
+};
@@ -37,8 +37,8 @@ const { EngineEntryForWorldInfo } = require("../EngineEntryForWorldInfo");
      * @returns {Omit<StateEngineData, "entryId">}
      */
     parse(worldInfo) {
-      const { topics, relations, keywords } = super.parse(worldInfo);
-      return { type: "VanillaEntry", topics, relations, keywords };
+      const { type, ...parsed } = super.parse(worldInfo);
+      return { ...parsed, type: "VanillaEntry" };
     }
   }
 
@@ -1,5 +1,7 @@
 type MatchableEntry = import("./MatchableEntry").MatchableEntry;
 type StateEngineEntry = import("./StateEngineEntry").StateEngineEntry;
+type TopicResolver = import("./TopicResolver").TopicResolver;
+type ConditionChecker = import("./ConditionChecker").ConditionChecker;
 
 interface StateModule {
   pre?: BundledModifierFn[];
@@ -37,7 +39,29 @@ type KeywordTypes = "include" | "exclude";
 interface KeywordDef<TType extends KeywordTypes> {
   type: TType;
   exactMatch: boolean;
+  /** The keyword; or the source of the regular expression, when `regexFlags` is set. */
   value: string;
+  /** When set, `value` is a regular expression and these are its flags. */
+  regexFlags?: string;
+  /** When set, `value` only describes the keyword and this is what is matched. */
+  compound?: CompoundKeywordDef;
+}
+
+/** One of the terms of a compound keyword. */
+interface CompoundKeywordTerm {
+  exactMatch: boolean;
+  value: string;
+}
+
+/**
+ * A keyword made of two terms that must be found close to one another.
+ * - `"near"` - From `a ~N b`; the terms must be no more than `distance` words apart.
+ * - `"sentence"` - From `a + b`; the terms must be in the same sentence.
+ */
+interface CompoundKeywordDef {
+  operator: "near" | "sentence";
+  distance?: number;
+  terms: [CompoundKeywordTerm, CompoundKeywordTerm];
 }
 
 type RelationTypes = "allOf" | "atLeastOne" | "immediate" | "negated";
@@ -46,10 +70,29 @@ interface RelationDef<TType extends RelationTypes> {
   topic: string;
 }
 
+/**
+ * The part of the game-state a condition checks.
+ * - `"has"` - The quantity of an item in `state.inventory`.
+ * - `"stat"` - The level of a stat in `state.stats`.
+ * - `"skill"` - The level of a skill in `state.skills`.
+ */
+type ConditionKinds = "has" | "stat" | "skill";
+type Comparisons = ">=" | "<=" | "!=" | ">" | "<" | "=";
+
+/** A check against the game-state, like `%has:Lantern` or `%stat:strength>=5`. */
+interface ConditionDef {
+  type: "condition";
+  kind: ConditionKinds;
+  /** The name of the item, stat, or skill. */
+  name: string;
+  comparison: Comparisons;
+  value: number;
+}
+
 type AnyEntryTypeDef = EntryTypeDef<EntryTypes>;
 type AnyKeywordDef = KeywordDef<KeywordTypes>;
 type AnyRelationDef = RelationDef<RelationTypes>;
-type AnyMatcherDef = AnyKeywordDef | AnyRelationDef;
+type AnyMatcherDef = AnyKeywordDef | AnyRelationDef | ConditionDef;
 
 /**
  * An object that provides `WorldInfoEntry` extraction services.
@@ -59,6 +102,33 @@ interface EntryExtractor {
   topics: PatternExtractor<string[]>;
   keywords: PatternExtractor<AnyKeywordDef[]>;
   relations: PatternExtractor<AnyRelationDef[]>;
+  conditions: PatternExtractor<ConditionDef[]>;
+  lifetime: PatternExtractor<number>;
+  priority: PatternExtractor<number>;
+  bias: PatternExtractor<number>;
+  sources: PatternExtractor<AssociationTargets[]>;
+  cooldown: PatternExtractor<number>;
+}
+
+/**
+ * How the author tuned an individual entry.  Each of these takes precedence over
+ * what the entry's class would provide.
+ */
+interface EntryTuning {
+  /** Replaces the priority given by the entry's class. */
+  priority?: number;
+  /** Multiplies the entry's score; `2` doubles it and `0.5` halves it. */
+  bias?: number;
+  /** Limits the association sources to these.  Only sources the class supports may be given. */
+  sources?: AssociationTargets[];
+  /** How many turns the entry rests after it was selected, before it can be associated again. */
+  cooldown?: number;
+}
+
+/** The settings given in the braces of a classic key, which are the tuning and the lifetime. */
+interface BracedSettings extends Omit<EntryTuning, "sources"> {
+  /** How many turns the entry lasts once first associated. */
+  expires?: number;
 }
 
 interface StateEngineData {
@@ -94,6 +164,33 @@ interface StateEngineData {
    * An array of keyword configuration objects.
    */
   keywords: AnyKeywordDef[];
+  /**
+   * An array of conditions on the game-state that must all be satisfied.
+   * May be missing from data cached by an older version.
+   */
+  conditions?: ConditionDef[];
+  /**
+   * How many turns the entry lasts once it is first associated.  Entries without
+   * one never expire.
+   */
+  lifetime?: number;
+  /**
+   * The turn the entry expires on, once it has been associated.
+   */
+  expiresOn?: number;
+  /**
+   * How the author tuned the entry, if at all.
+   */
+  tuning?: EntryTuning;
+  /**
+   * How many turns the entry rests after it was selected, from its tuning or
+   * its class.
+   */
+  cooldown?: number;
+  /**
+   * The turn the entry can be associated again, while it is cooling down.
+   */
+  cooldownEndsOn?: number;
 }
 
 interface WorldInfoHash {
@@ -185,6 +282,12 @@ interface HistoryIteratorResult {
   /** The text for this entry. */
   readonly text: string;
 
+  /**
+   * How the action this entry came from was submitted.  When an entry spans
+   * multiple actions, this is for the earliest of them.
+   */
+  readonly inputMode: InputMode;
+
   /** A string for user reporting to help them understand where this text came from. */
   readonly desc: string;
 }
@@ -192,8 +295,11 @@ interface HistoryIteratorResult {
 /**
  * A function that iterates on the history and provides results suited for
  * {@link Context.workingHistory}.
+ * 
+ * The names of the player-characters are provided to help classify the
+ * input mode of each action.
  */
-type HistoryIteratorFn = (history: Iterable<HistoryEntry>) => Iterable<HistoryIteratorResult>;
+type HistoryIteratorFn = (history: Iterable<HistoryEntry>, characters?: readonly string[]) => Iterable<HistoryIteratorResult>;
 
 namespace AssociationData {
   interface Base {
@@ -356,6 +462,65 @@ interface StateDataCache {
 
 type ValuationStats = { matched: number, bonus: number, scalar: number };
 
+namespace TraceData {
+  interface Base {
+    /** The source this step of the trace concerns. */
+    source: AssociationSources;
+  }
+
+  interface Association extends Base {
+    stage: "associator";
+    /** Whether the associator accepted the source. */
+    passed: boolean;
+    /** The inclusive keywords that were found in the source's text. */
+    included?: string[];
+    /** The exclusive keywords that were found in the source's text. */
+    excluded?: string[];
+    /** The result of `RelatableEntry.check` or `RelatableEntry.checkTopics`. */
+    relations?: false | number;
+    /** Whether the entry's conditions were satisfied; only set if it has any. */
+    conditions?: boolean;
+  }
+
+  interface PreRule extends Base {
+    stage: "preRules";
+    /** Pre-rules only record rejections. */
+    passed: false;
+  }
+
+  interface Valuation extends Base {
+    stage: "valuator";
+    /** The final score, after clamping.  A score of `0` drops the association. */
+    score: number;
+    keywords: ValuationStats;
+    relations: ValuationStats;
+  }
+
+  interface Roulette extends Base {
+    stage: "roulette";
+    /** The order it was drawn from the roulette wheel, starting at `1`. */
+    drawn: number;
+    /**
+     * What happened when it came up:
+     * - `"selected"` - It was selected for the source.
+     * - `"rejected"` - A post-rule rejected it.
+     * - `"duplicate"` - The entry was already selected for another source.
+     * - `"typeTaken"` - Another entry of the same type was selected for `implicit`.
+     * - `"outdrawn"` - Another entry was selected for the source first.
+     */
+    outcome: "selected" | "rejected" | "duplicate" | "typeTaken" | "outdrawn";
+  }
+}
+
+type TraceRecord = TraceData.Association | TraceData.PreRule | TraceData.Valuation | TraceData.Roulette;
+
+/**
+ * A record of the decisions State-Engine made about the traced entry on a turn.
+ * Only the interesting steps are recorded; an entry that matched no keywords
+ * or relations in a source will have nothing recorded for it.
+ */
+type StateEngineTrace = Record<StateEngineEntry["entryId"], TraceRecord[]>;
+
 /** A generic interface for sortable things. */
 interface SortableEntry {
   text?: string;
@@ -372,6 +537,8 @@ interface WithOrdering {
 
 interface Context {
   config: import("./config").StateEngineConfig;
+  /** A random number generator, seeded for the current turn. */
+  random: () => number;
   matchCounter: (str: string, regex: RegExp) => number;
   theCache: import("../turn-cache").WriteCache<StateDataCache>;
   entriesMap: Record<string, StateEngineEntry>;
@@ -380,6 +547,155 @@ interface Context {
   workingHistory: Map<number, HistoryIteratorResult>;
   stateAssociations: StateAssociations;
   scoresMap: ScoresMap;
+  trace: StateEngineTrace;
+  /** The entry being traced for `/state-engine explain`, if any. */
+  tracedEntryId: StateEngineEntry["entryId"] | undefined;
+  /** Resolves topic aliases and namespaces; built once the entries have been modified. */
+  topicResolver: TopicResolver;
+  /** Topics remembered from previous turns, mapped to how strongly they are remembered. */
+  rememberedTopics: Map<string, number>;
+  /** Checks conditions against the game-state as it was at the start of the turn. */
+  conditionChecker: ConditionChecker;
+  /** Batches changes to the world-info; they are committed at the end of the run. */
+  worldInfo: WorldInfoMutator;
+  /** The character that performed the latest action, if it could be determined. */
+  actingCharacter: string | undefined;
+}
+
+/** The information available to a `LintRule`. */
+interface LintContext {
+  /** The entries State-Engine last processed, after their modifiers ran. */
+  entries: readonly StateEngineData[];
+  /** The resolver for the topic aliases declared by the entries. */
+  topicResolver: TopicResolver;
+  /** Every topic provided by the entries, in canonical form, with their parents. */
+  providedTopics: Set<string>;
+}
+
+/** A possible problem with an entry, found by `/state-engine lint`. */
+interface LintIssue {
+  /** The ID of the entry with the problem. */
+  entryId: string;
+  /** A description of the problem for the user. */
+  message: string;
+}
+
+/**
+ * A function that looks over the entries for possible problems.  Unlike
+ * `StateEngineEntry.validator`, these are only reported and never stop the game.
+ */
+type LintRule = (lintCtx: LintContext) => Iterable<LintIssue>;
+
+/** An entry of a `StateEngineBundle`. */
+interface BundleEntry {
+  /** The keys to create the world-info with.  For entries using attributes, these are in the classic syntax, or are vanilla keys if there was no type. */
+  keys: string;
+  /** The text of the entry. */
+  text: string;
+  /** Whether the world-info was hidden. */
+  hidden: boolean;
+  /** The name given to the world-info, if any. */
+  name?: string;
+  /** The entry's type, as State-Engine understood it. */
+  type: StateEngineData["type"];
+  topics: string[];
+  keywords: AnyKeywordDef[];
+  relations: AnyRelationDef[];
+  conditions: ConditionDef[];
+  lifetime?: number;
+  tuning?: EntryTuning;
+}
+
+/** A portable collection of world-info, for `/state-engine export` and `/state-engine import`. */
+interface StateEngineBundle {
+  format: "state-engine-bundle";
+  version: 1;
+  entries: BundleEntry[];
+}
+
+/** What will happen to each entry of a bundle when it is imported. */
+interface BundleImportPlan {
+  /** Entries that will be added. */
+  toAdd: BundleEntry[];
+  /** Entries with the same keys and text as an existing entry. */
+  present: BundleEntry[];
+  /** Entries with the same type and main topic as existing entries, with those entries. */
+  conflicts: [BundleEntry, WorldInfoEntry[]][];
+}
+
+type WorldInfoMutator = import("./WorldInfoMutator").WorldInfoMutator;
+
+namespace WorldInfoMutation {
+  interface Add {
+    type: "add";
+    keys: string;
+    entry: string;
+    hidden: boolean;
+  }
+
+  interface Update {
+    type: "update";
+    keys: string;
+    entry: string;
+    hidden: boolean;
+  }
+
+  interface Remove {
+    type: "remove";
+  }
+}
+
+/** The changes State-Engine made to the world-info that have yet to be reconciled. */
+interface WorldInfoWrites {
+  /** The expected `WorldInfoHash.full` of each entry that was updated. */
+  updated: Record<string, string>;
+  /** The IDs of the entries that were removed. */
+  removed: string[];
+}
+
+namespace TemplateNode {
+  interface Text {
+    type: "text";
+    value: string;
+  }
+
+  interface Player {
+    type: "player";
+  }
+
+  interface Random {
+    type: "random";
+    options: string[];
+  }
+
+  interface If {
+    type: "if";
+    /** When `true`, the children are rendered only when the topic is not in context. */
+    negated: boolean;
+    topic: string;
+    children: AnyTemplateNode[];
+  }
+}
+
+type AnyTemplateNode = TemplateNode.Text | TemplateNode.Player | TemplateNode.Random | TemplateNode.If;
+
+/** The information an entry's text is rendered with. */
+interface TemplateContext {
+  /** The name of the player's character, for `{{player}}`. */
+  player: string;
+  /** The topics of the selected entries, and their parents, for `{{if :Topic}}`. */
+  topics: Set<string>;
+  topicResolver: TopicResolver;
+  /** Creates the random number generator for an entry's `{{random}}` tags. */
+  randomFor: (entryId: string) => () => number;
+}
+
+/** How a topic is remembered across turns. */
+interface TopicMemoryRecord {
+  /** The `actionCount` of the turn the topic was last seen. */
+  lastSeen: number;
+  /** The strength of the memory when last seen; it decays from here. */
+  strength: number;
 }
 
 declare interface GameState {
@@ -388,6 +704,35 @@ declare interface GameState {
    * A cache of pre-processed `StateEngineData` entries.
    */
   $$stateDataCache?: Record<StateEngineData["entryId"], StateEngineData & Record<string, unknown>>;
+  /**
+   * Topics of the entries selected in previous turns, for `state-engine.topicMemoryTurns`.
+   */
+  $$topicMemory?: Record<string, TopicMemoryRecord>;
+  /**
+   * Changes made by `WorldInfoMutator`, so they are not mistaken for the user's edits.
+   */
+  $$worldInfoWrites?: WorldInfoWrites;
+  /**
+   * The turn each entry with a lifetime was first associated on.
+   */
+  $$firstAssociations?: Record<StateEngineData["entryId"], number>;
+  /**
+   * The turn each entry with a cooldown was last selected on.
+   */
+  $$lastSelections?: Record<StateEngineData["entryId"], number>;
+  /**
+   * The entry `/state-engine explain` last asked about; only it is traced.
+   */
+  $$explainEntryId?: StateEngineData["entryId"];
+  /**
+   * The name of the history iterator the caches were built with.
+   */
+  $$historyIterator?: string;
+  /**
+   * The validation issues of the latest turn, as pairs of how the entry is
+   * rendered and its issues.  Kept for `/state-engine issues`.
+   */
+  $$validationIssues?: [string, string[]][];
 }
 
 declare module "aid-bundler/src/aidData" {
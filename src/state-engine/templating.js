@@ -0,0 +1,131 @@
+/// <reference path="./state-engine.d.ts" />
+const { memoize, makeRandom, hashSeed } = require("../utils");
+const { nilTopicResolver } = require("./TopicResolver");
+const { getActingCharacter } = require("./utils");
+const { template } = require("./parsers/parts/template");
+const getConfig = require("./config");
+
+/** @type {WeakMap<AIDData, TemplateContext>} */
+const contextsForData = new WeakMap();
+
+/**
+ * Parses an entry's text into a template.  If the text can't be parsed, it
+ * is not treated as a template and will be used as it is.
+ */
+const parseTemplate = memoize(
+  /**
+   * @param {string} text
+   * @returns {AnyTemplateNode[] | undefined}
+   */
+  (text) => {
+    const result = template.parse(text);
+    return result.status ? result.value : undefined;
+  }
+);
+
+/**
+ * Checks if the given text might contain template tags.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+exports.hasTemplate = (text) => text.includes("{{");
+
+/**
+ * Gets the information templates are rendered with for the current run.  It is
+ * built once, from the first `cacheData` given, and shared by everything that
+ * renders templates afterward, so they all produce the same text.
+ *
+ * @param {AIDData} data
+ * @param {Maybe<StateDataCache>} cacheData
+ * The selected entries; their topics are the topics in context.
+ * @returns {TemplateContext}
+ */
+exports.templateContextFor = (data, cacheData) => {
+  const existing = contextsForData.get(data);
+  if (existing) return existing;
+
+  const { $$stateDataCache = {} } = data.state;
+  const topicResolver = data.stateEngineContext?.topicResolver ?? nilTopicResolver;
+  const selected = [
+    ...(cacheData?.forContextMemory ?? []),
+    ...(cacheData?.forHistory ?? []),
+    cacheData?.forAuthorsNote,
+    cacheData?.forFrontMemory
+  ];
+
+  /** @type {string[]} */
+  const topics = [];
+  for (const cached of selected) {
+    if (!cached) continue;
+    topics.push(...($$stateDataCache[cached.entryId]?.topics ?? []));
+  }
+
+  // In multiplayer, this is whoever performed the latest action.
+  const playerName = getActingCharacter(data) ?? data.characters
+    .map((pi) => pi.name?.trim())
+    .find(Boolean);
+
+  const seed = getConfig(data).get("integer", "seed");
+
+  /** @type {TemplateContext} */
+  const created = {
+    player: playerName ?? "you",
+    topics: topicResolver.expand(topics),
+    topicResolver,
+    randomFor: (entryId) => makeRandom(hashSeed(seed, data.actionCount, entryId))
+  };
+  contextsForData.set(data, created);
+  return created;
+};
+
+/**
+ * Renders the nodes of a template into text.
+ *
+ * @param {AnyTemplateNode[]} nodes
+ * @param {TemplateContext} templateCtx
+ * @param {() => number} random
+ * @returns {string}
+ */
+const renderNodes = (nodes, templateCtx, random) => {
+  let output = "";
+  for (const node of nodes) {
+    switch (node.type) {
+      case "text":
+        output += node.value;
+        break;
+      case "player":
+        output += templateCtx.player;
+        break;
+      case "random":
+        output += node.options[Math.floor(random() * node.options.length)];
+        break;
+      case "if": {
+        const topic = templateCtx.topicResolver.canonical(node.topic);
+        if (templateCtx.topics.has(topic) === node.negated) break;
+        output += renderNodes(node.children, templateCtx, random);
+        break;
+      }
+    }
+  }
+  return output;
+};
+
+/**
+ * Renders an entry's text as a template.  Text that has no template tags, or
+ * that could not be parsed, is returned as it is.
+ *
+ * The `{{random}}` choices are seeded by the entry's ID and the turn, so the
+ * same entry renders the same way everywhere on a turn.
+ *
+ * @param {string} entryId
+ * @param {string} text
+ * @param {TemplateContext} templateCtx
+ * @returns {string}
+ */
+exports.renderTemplate = (entryId, text, templateCtx) => {
+  if (!exports.hasTemplate(text)) return text;
+  const nodes = parseTemplate(text);
+  if (!nodes) return text;
+  return renderNodes(nodes, templateCtx, templateCtx.randomFor(entryId));
+};
@@ -1,5 +1,6 @@
 const objectHash = require("object-hash");
-const { dew, memoize, getEntryText } = require("../utils");
+const { dew, memoize, getEntryText, chain } = require("../utils");
+const { getInputMode, getCharacterNames } = require("../input-mode");
 
 /**
  * Due to retarded limits in TypeScript, you can't use obvious type-guards
@@ -129,4 +130,72 @@ exports.hashWorldInfo = memoize(
       text: exports.hashText(entry)
     }
   }
-);
\ No newline at end of file
+);
+
+/**
+ * Gets the character that performed the latest action.  In the input phase,
+ * that is the current input; otherwise, it is the latest input in the history.
+ * 
+ * When the input was made as "you", the acting character is only known if
+ * there is a single named character; in multiplayer, it could be anyone.
+ * 
+ * @param {AIDData} data
+ * @returns {string | undefined}
+ */
+exports.getActingCharacter = (data) => getInputMode(data).character;
+
+/**
+ * Checks if there is more than one named character in the adventure.
+ * 
+ * @param {AIDData} data
+ * @returns {boolean}
+ */
+exports.isMultiplayer = (data) => getCharacterNames(data).length > 1;
+
+/**
+ * Addresses a message only to the player that performed the latest action.
+ * Outside of multiplayer, or when the acting player can't be determined, the
+ * message is left visible to everyone.
+ * 
+ * @param {AIDData} data
+ * @param {string} text
+ * @returns {string | MultiplayerMessage}
+ */
+exports.toActingPlayer = (data, text) => {
+  if (!exports.isMultiplayer(data)) return text;
+  const character = exports.getActingCharacter(data);
+  if (!character) return text;
+  return { text, visibleTo: [character] };
+};
+
+/**
+ * Formats validation issues into a message for the user.
+ * 
+ * @param {Iterable<[string, string[]]>} validationIssues
+ * Pairs of how the entry is rendered and the issues it had.
+ * @param {string} [heading]
+ * The line that introduces the issues.
+ * @returns {string}
+ */
+exports.formatValidationIssues = (
+  validationIssues,
+  heading = "The following State Engine validation issues were discovered:"
+) => chain(validationIssues)
+  .map(([renderAs, issues]) => [
+    `\t${renderAs}`,
+    // Format issues so that the first line of each issue has a bullet and
+    // all remaining lines are aligned.  AI Dungeon's message box will present
+    // messages with whitespace preserved.
+    ...chain(issues)
+      .map((issue) => {
+        const [firstLine, ...restLines] = issue.split("\n");
+        return [
+          `\t\t• ${firstLine}`,
+          ...restLines.map((issueLine) => `\t\t  ${issueLine}`)
+        ];
+      })
+      .flatten()
+      .value()
+  ])
+  .flatten()
+  .value((lines) => [heading, ...lines].join("\n"));
\ No newline at end of file
@@ -1,6 +1,5 @@
 /// <reference path="./stemming.d.ts" />
 
-const { Plugin } = require("aid-bundler");
 const { english: rootStopwords } = require("stopwords/english");
 const { FilterableCorpus } = require("./FilterableCorpus");
 const { lancasterStemmer: stemmer } = require("lancaster-stemmer");
@@ -149,22 +148,4 @@ exports.getStemmingData = (data) => {
   if (data.stemmingData) return data.stemmingData;
   data.stemmingData = exports.compileEntries(data, data.phase === "context");
   return data.stemmingData;
-};
-
-/** @type {BundledModifierFn} */
-const generalModifier = (data) => {
-  exports.getStemmingData(data);
-};
-
-/**
- * Creates and adds this plugin to an AID-Bundler `Pipeline`.
- * 
- * @param {import("aid-bundler").Pipeline} pipeline
- */
-exports.addPlugin = (pipeline) => {
-  pipeline.addPlugin(new Plugin("Stemming",
-    generalModifier,
-    generalModifier,
-    generalModifier
-  ));
 };
\ No newline at end of file
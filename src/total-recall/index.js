@@ -15,6 +15,7 @@ const init = (data) => {
   const { stemText, parseHistoryKey } = require("../stemming");
 
   const config = ConfigNamespace.fetch(data, "total-recall", {
+    enabled: false,
     earliestActionForQuery: 50,
     minimumEntriesRequired: 20,
     queryCountLimit: 100
@@ -42,6 +43,14 @@ const init = (data) => {
       this.bestResult = null;
     }
 
+    /**
+     * Whether the scenario has turned this module on.  It is off by default,
+     * since the search is fairly expensive.
+     */
+    static get enabled() {
+      return config.get("boolean", "enabled");
+    }
+
     /**
      * How far back in the history we'll begin the search at.
      */
@@ -73,12 +82,14 @@ const init = (data) => {
      */
     static *produceEntries(data, ctx) {
       const {
+        enabled,
         earliestActionForQuery,
         minimumEntriesRequired,
         queryCountLimit
       } = this;
 
-      // Bail if this module is basically disabled.
+      // Bail if this module is disabled or basically disabled.
+      if (!enabled) return;
       if (queryCountLimit === 0) return;
 
       // Only produce an entry if we have enough action history for it
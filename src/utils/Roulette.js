@@ -6,7 +6,12 @@ const { tuple2 } = require(".")
  * @template T
  */
 class Roulette {
-  constructor() {
+  /**
+   * @param {() => number} [random]
+   * The random number generator to use; defaults to `Math.random`.
+   */
+  constructor(random = Math.random) {
+    this.random = random;
     /** @type {Array<{ weight: number, data: T } | undefined>} */
     this.entries = [];
     this.totalWeight = 0;
@@ -17,7 +22,7 @@ class Roulette {
     if (this.count === 0) return -1;
     
     const limit = this.entries.length;
-    const ball = Math.random() * this.totalWeight;
+    const ball = this.random() * this.totalWeight;
     let curWeight = 0;
     
     for (let i = 0; i < limit; i++) {
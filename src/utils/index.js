@@ -752,16 +752,56 @@ exports.getContinuousText = exports.dew(() => {
   return getContinuousText;
 });
 
+/**
+ * Hashes the given parts into a 32-bit integer, suitable as a seed for
+ * `makeRandom`.  Uses the FNV-1a algorithm.
+ * 
+ * @param {...(string | number)} parts
+ * @returns {number}
+ */
+exports.hashSeed = (...parts) => {
+  const str = parts.join(":");
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a deterministic random number generator (Mulberry32).  Like
+ * `Math.random`, the function it returns produces a number from `0` up to,
+ * but not including, `1`.
+ * 
+ * The same `seed` will always produce the same sequence of numbers.
+ * 
+ * @param {number} seed
+ * @returns {() => number}
+ */
+exports.makeRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
 /**
  * Rolls a dice, D&D style.
  * 
  * @param {number} count
  * @param {number} sides
+ * @param {() => number} [random]
+ * The random number generator to use; defaults to `Math.random`.
  * @returns {number}
  */
-exports.rollDice = (count, sides) => {
+exports.rollDice = (count, sides, random = Math.random) => {
   let result = 0;
   for (let i = 0; i < count; i++)
-  result += Math.floor(Math.random() * sides) + 1;
+  result += Math.floor(random() * sides) + 1;
   return result;
 };
\ No newline at end of file
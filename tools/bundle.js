@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Moves State-Engine world-info between scenarios, outside of the game.
+ *
+ * Usage:
+ *   node tools/bundle.js export <world-info.json> [bundle.json]
+ *   node tools/bundle.js import <bundle.json> <world-info.json> [output.json]
+ *
+ * The world-info may be an array of world-info entries, like AI Dungeon exports,
+ * or a simulator scenario with a `worldEntries` array.
+ *
+ * `export` writes the bundle to `bundle.json`, or prints it when not given.
+ *
+ * `import` adds the entries of the bundle to the world-info and writes the result
+ * to `output.json`, or prints it when not given.  The same checks as the
+ * `/state-engine import` command are made and reported.
+ */
+const fs = require("fs");
+const { exportBundle, readBundle, planImport, reportOnImport, BadBundleError } = require("../src/state-engine/bundle");
+const { worldInfoString } = require("../src/state-engine/utils");
+
+const [command, ...paths] = process.argv.slice(2);
+
+const usage = () => {
+  console.log("Usage: node tools/bundle.js export <world-info.json> [bundle.json]");
+  console.log("       node tools/bundle.js import <bundle.json> <world-info.json> [output.json]");
+  process.exit(1);
+};
+
+/**
+ * Reads world-info from either an array of entries or a scenario.
+ *
+ * @param {string} filePath
+ * @returns {{ document: any, worldEntries: WorldInfoEntry[] }}
+ */
+const readWorldInfo = (filePath) => {
+  const document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (Array.isArray(document)) return { document, worldEntries: document };
+  if (Array.isArray(document?.worldEntries)) return { document, worldEntries: document.worldEntries };
+  throw new Error(`The file at \`${filePath}\` has no world-info.`);
+};
+
+/**
+ * Writes some JSON to a file, or prints it when no path was given.
+ *
+ * @param {string | undefined} filePath
+ * @param {any} value
+ */
+const writeJson = (filePath, value) => {
+  const json = JSON.stringify(value, undefined, 2);
+  if (filePath) fs.writeFileSync(filePath, `${json}\n`);
+  else console.log(json);
+};
+
+if (command === "export" && paths.length >= 1) {
+  const [infoPath, bundlePath] = paths;
+  const { worldEntries } = readWorldInfo(infoPath);
+  const { bundle, failed } = exportBundle(worldEntries);
+  for (const [wi, reason] of failed)
+    console.error(`Left out ${worldInfoString(wi)}; ${reason}.`);
+  writeJson(bundlePath, bundle);
+}
+else if (command === "import" && paths.length >= 2) {
+  const [bundlePath, infoPath, outputPath] = paths;
+  const { document, worldEntries } = readWorldInfo(infoPath);
+  try {
+    const plan = planImport(readBundle(fs.readFileSync(bundlePath, "utf8")), worldEntries);
+    for (const { keys, text, hidden, name } of plan.toAdd)
+      worldEntries.push({ keys, entry: text, hidden, ...(name ? { name } : {}) });
+    console.error(reportOnImport(plan));
+    writeJson(outputPath, document);
+  }
+  catch (err) {
+    if (!(err instanceof BadBundleError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+else {
+  usage();
+}
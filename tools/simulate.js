@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Replays scenario fixtures through the script's pipeline and compares the
+ * results against their snapshots.
+ *
+ * Usage: node tools/simulate.js [--update] [--verbose] <scenario.json | directory>...
+ *
+ * When given a directory, every scenario in it is simulated.
+ *
+ * --update   Write new snapshots instead of comparing against them.  A scenario
+ *            without a snapshot fails unless this is given.
+ * --verbose  Print anything the script logged while running.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadScenario, runScenario } = require("./simulator");
+const { snapshotPathFor, readSnapshot, writeSnapshot, compareSnapshot } = require("./simulator/snapshot");
+
+const args = process.argv.slice(2);
+const update = args.includes("--update");
+const verbose = args.includes("--verbose");
+const isSnapshot = (/** @type {string} */ filePath) => filePath.endsWith(".snap.json");
+const scenarioPaths = args
+  .filter((arg) => !arg.startsWith("--"))
+  .flatMap((arg) => {
+    if (!fs.statSync(arg).isDirectory()) return [arg];
+    return fs.readdirSync(arg)
+      .filter((fileName) => fileName.endsWith(".json"))
+      .map((fileName) => path.join(arg, fileName));
+  })
+  .filter((filePath) => !isSnapshot(filePath));
+
+if (scenarioPaths.length === 0) {
+  console.log("Usage: node tools/simulate.js [--update] [--verbose] <scenario.json | directory>...");
+  process.exit(1);
+}
+
+let failures = 0;
+
+for (const scenarioPath of scenarioPaths) {
+  const scenario = loadScenario(scenarioPath);
+  const records = runScenario(scenario, {
+    onLogs: (phase, turn, logs) => {
+      if (!verbose) return;
+      console.log(`[${scenarioPath}] turn ${turn}, ${phase}:`);
+      for (const log of logs) console.log(log);
+    }
+  });
+
+  const snapshotPath = snapshotPathFor(scenarioPath);
+  const snapshot = readSnapshot(snapshotPath);
+
+  if (update) {
+    writeSnapshot(snapshotPath, records);
+    console.log(`WROTE ${snapshotPath} (${records.length} turns)`);
+    continue;
+  }
+
+  if (!snapshot) {
+    failures += 1;
+    console.log(`FAIL ${scenarioPath}`);
+    console.log(`  No snapshot was found at ${snapshotPath}; run again with --update to write it.`);
+    continue;
+  }
+
+  const differences = compareSnapshot(snapshot, records);
+  if (differences.length === 0) {
+    console.log(`PASS ${scenarioPath} (${records.length} turns)`);
+    continue;
+  }
+
+  failures += 1;
+  console.log(`FAIL ${scenarioPath}`);
+  for (const difference of differences) console.log(`  ${difference}`);
+}
+
+if (failures > 0) process.exit(1);
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const { runPhase } = require("./sandbox");
+
+/**
+ * @typedef ScenarioTurn
+ * @prop {string} [input]
+ * The text of the player's input, as AI Dungeon would provide it to the
+ * input modifier.  Omit it for a "continue" action.
+ * @prop {HistoryEntry["type"]} [type]
+ * The type of the input.  Inferred from `input` when omitted.
+ * @prop {string} [output]
+ * The text the AI "generated" for this turn.
+ * @prop {string} [playerMemory]
+ * If provided, replaces the player's pinned memory before this turn.
+ * @prop {Partial<WorldInfoEntry>[]} [worldEntries]
+ * If provided, replaces the world-info before this turn.
+ * @prop {QuestInfo[]} [quests]
+ * If provided, replaces the quests before this turn.
+ * @prop {boolean} [retry]
+ * Retries the previous turn, like the player pressing "retry": the AI's last
+ * output is thrown away and the context and output phases run again for the
+ * same action.  `input` is ignored.
+ */
+
+/**
+ * @typedef Scenario
+ * @prop {Partial<GameInfo>} [info]
+ * @prop {Partial<GameState>} [state]
+ * @prop {string} [playerMemory]
+ * @prop {Partial<WorldInfoEntry>[]} [worldEntries]
+ * @prop {QuestInfo[]} [quests]
+ * @prop {HistoryEntry[]} [history]
+ * @prop {ScenarioTurn[]} turns
+ * @prop {number} [seed]
+ */
+
+/**
+ * @typedef PhaseRecord
+ * @prop {string} text
+ * @prop {boolean} stop
+ * @prop {GameState["message"]} message
+ */
+
+/**
+ * @typedef TurnRecord
+ * @prop {number} turn
+ * @prop {number} actionCount
+ * @prop {PhaseRecord} [input]
+ * @prop {PhaseRecord} [context]
+ * @prop {PhaseRecord} [output]
+ * @prop {GameMemory} memory
+ * @prop {GameState["$$turnCache"]} turnCache
+ */
+
+/**
+ * Reads a scenario fixture from disk.
+ *
+ * @param {string} filePath
+ * @returns {Scenario}
+ */
+exports.loadScenario = (filePath) => {
+  const scenario = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(scenario?.turns))
+    throw new Error(`The scenario at \`${filePath}\` has no \`turns\` array.`);
+  return scenario;
+};
+
+let nextEntryId = 1;
+
+/**
+ * Fills in the properties of a world-info entry that a fixture did not
+ * bother to provide.
+ *
+ * @param {Partial<WorldInfoEntry>} partial
+ * @returns {WorldInfoEntry}
+ */
+const toWorldEntry = (partial) => {
+  const id = partial.id ?? `sim-${nextEntryId++}`;
+  return {
+    id,
+    publicId: id,
+    name: null,
+    userId: "simulator",
+    type: "worldDetail",
+    generator: "Manual",
+    tagsString: null,
+    keys: "",
+    genre: null,
+    attributes: null,
+    entry: "",
+    description: null,
+    favorite: false,
+    tags: [],
+    factionName: null,
+    ...partial
+  };
+};
+
+/**
+ * Sets the `state-engine.seed` config in the state, so State-Engine's random
+ * choices are the same every time the scenario is simulated.  A seed the
+ * scenario's own `state` already configured is left alone.
+ *
+ * @param {GameState} state
+ * @param {number} seed
+ * @returns {GameState}
+ */
+const withSeed = (state, seed) => {
+  const configStore = state.$$configCommanderStore ?? {};
+  const stateEngineConfig = configStore["state-engine"] ?? {};
+  if (stateEngineConfig.seed != null) return state;
+  return {
+    ...state,
+    $$configCommanderStore: {
+      ...configStore,
+      "state-engine": { ...stateEngineConfig, seed }
+    }
+  };
+};
+
+/**
+ * Infers the type of an input from its text.
+ *
+ * @param {string} text
+ * @returns {HistoryEntry["type"]}
+ */
+const inferInputType = (text) => {
+  if (!/^\s*>/.test(text)) return "story";
+  return /^\s*>.*\bsays?\b/.test(text) ? "say" : "do";
+};
+
+/**
+ * Assembles the context text in approximately the same way as AI Dungeon.
+ * This is only a stand-in; Context-Mode modules will generally replace it.
+ *
+ * @param {GameState} state
+ * @param {string} playerMemory
+ * @param {HistoryEntry[]} history
+ * @param {number} maxChars
+ * @returns {{ text: string, memoryLength: number }}
+ */
+const buildContext = (state, playerMemory, history, maxChars) => {
+  const memory = state.memory.context ?? playerMemory;
+  const frontMemory = state.memory.frontMemory ?? "";
+  const authorsNote = state.memory.authorsNote ?? "";
+
+  const budget = Math.max(0, maxChars - memory.length - frontMemory.length);
+  const storyLines = history.map((entry) => entry.text).join("").slice(-budget).split("\n");
+  if (authorsNote)
+    storyLines.splice(Math.max(0, storyLines.length - 3), 0, `[Author's note: ${authorsNote}]`);
+
+  const story = storyLines.join("\n");
+  const text = [memory, story].filter(Boolean).join("\n") + frontMemory;
+  return { text, memoryLength: memory.length };
+};
+
+/**
+ * @param {ModifierResult} result
+ * @param {GameState} state
+ * @returns {PhaseRecord}
+ */
+const toPhaseRecord = (result, state) => ({
+  text: result.text,
+  stop: Boolean(result.stop),
+  message: state.message
+});
+
+/**
+ * Replays a scenario turn-by-turn through the script's pipeline, carrying
+ * `state` from phase to phase just like AI Dungeon does.
+ *
+ * @param {Scenario} scenario
+ * @param {Object} [options]
+ * @param {(phase: string, turn: number, logs: string[]) => void} [options.onLogs]
+ * Called with anything the script logged during a phase.
+ * @returns {TurnRecord[]}
+ */
+exports.runScenario = (scenario, options) => {
+  const onLogs = options?.onLogs ?? (() => {});
+  nextEntryId = 1;
+  const characters = scenario.info?.characters ?? [{ name: null }];
+  const maxChars = scenario.info?.maxChars ?? 2800;
+
+  let actionCount = scenario.info?.actionCount ?? scenario.history?.length ?? 0;
+  let playerMemory = scenario.playerMemory ?? "";
+  /** @type {GameState} */
+  let state = withSeed({ memory: {}, ...scenario.state }, scenario.seed ?? 1);
+  /** @type {WorldInfoEntry[]} */
+  let worldEntries = (scenario.worldEntries ?? []).map(toWorldEntry);
+  /** @type {QuestInfo[]} */
+  let quests = scenario.quests ?? [];
+  /** @type {HistoryEntry[]} */
+  const history = [...(scenario.history ?? [])];
+
+  /** @type {TurnRecord[]} */
+  const records = [];
+  /** @type {HistoryEntry | undefined} The output a retry would throw away. */
+  let lastOutput = undefined;
+
+  /**
+   * @param {"input" | "context" | "output"} phase
+   * @param {number} turn
+   * @param {string} text
+   * @param {number} [memoryLength]
+   * @returns {PhaseRecord}
+   */
+  const doPhase = (phase, turn, text, memoryLength = playerMemory.length) => {
+    /** @type {GameInfo} */
+    const info = {
+      actionCount, characters, maxChars, memoryLength,
+      evaluation: undefined, inputEvaluation: undefined
+    };
+    const phaseResult = runPhase(phase, {
+      text, state, info, worldEntries, history, quests,
+      memory: playerMemory,
+      createEntry: (keys, entry, hidden) => toWorldEntry({ keys, entry, hidden })
+    });
+    state = phaseResult.state;
+    if (phaseResult.logs.length) onLogs(phase, turn, phaseResult.logs);
+    return toPhaseRecord(phaseResult.result, state);
+  };
+
+  scenario.turns.forEach((turnData, turn) => {
+    if (turnData.playerMemory != null) playerMemory = turnData.playerMemory;
+    if (turnData.worldEntries != null) worldEntries = turnData.worldEntries.map(toWorldEntry);
+    if (turnData.quests != null) quests = turnData.quests;
+
+    /** @type {Partial<TurnRecord>} */
+    const record = { turn };
+
+    checks: {
+      if (turnData.retry) {
+        // The action count is unchanged; it is the same turn as before.
+        if (lastOutput) history.splice(history.lastIndexOf(lastOutput), 1);
+        lastOutput = undefined;
+      }
+      else if (turnData.input != null) {
+        record.input = doPhase("input", turn, turnData.input);
+        // Commands blank out the text; treat that like a stopped turn.
+        if (record.input.stop || !record.input.text.trim()) break checks;
+
+        actionCount += 1;
+        const type = turnData.type ?? inferInputType(turnData.input);
+        history.push({ text: record.input.text, type });
+      }
+      else {
+        actionCount += 1;
+      }
+
+      const context = buildContext(state, playerMemory, history, maxChars);
+      record.context = doPhase("context", turn, context.text, context.memoryLength);
+      if (record.context.stop) break checks;
+
+      record.output = doPhase("output", turn, turnData.output ?? "");
+      lastOutput = { text: record.output.text, type: "continue" };
+      history.push(lastOutput);
+    }
+
+    records.push({
+      ...record,
+      turn,
+      actionCount,
+      memory: state.memory,
+      turnCache: state.$$turnCache
+    });
+  });
+
+  return records;
+};
@@ -0,0 +1,98 @@
+const path = require("path");
+
+const srcDir = path.resolve(__dirname, "../../src");
+const entryPoint = path.join(srcDir, "index.js");
+
+/** @typedef {"input" | "context" | "output"} PhaseName */
+
+/**
+ * Removes every module under `src` from Node's module cache.  AI Dungeon
+ * evaluates the shared script anew for each modifier, so module-level state
+ * must not survive from one phase to the next.
+ */
+const purgeScriptModules = () => {
+  for (const key of Object.keys(require.cache))
+    if (key.startsWith(srcDir)) delete require.cache[key];
+};
+
+/**
+ * Loads a fresh copy of the script and retrieves the modifier for a phase.
+ *
+ * @param {PhaseName} phase
+ * @returns {Function}
+ */
+const loadModifier = (phase) => {
+  const key = `${phase}Modifier`;
+  // @ts-ignore - Clearing out the last build.
+  delete global[key];
+  purgeScriptModules();
+  require(entryPoint);
+
+  // @ts-ignore - Set by `Pipeline.build`.
+  const modifier = global[key];
+  if (typeof modifier !== "function")
+    throw new Error(`The script did not define \`${key}\`.`);
+  return modifier;
+};
+
+/**
+ * Runs a single phase of the script in a simulated sandbox.
+ *
+ * - The `state` object is round-tripped through JSON, as AI Dungeon does.
+ * - `console.log` is captured into the returned `logs` array.
+ * - The world-info functions operate on the given `worldEntries` array.
+ * - The `quests` global is a copy of the given `quests` array.
+ *
+ * @param {PhaseName} phase
+ * @param {Object} env
+ * @param {string} env.text
+ * @param {GameState} env.state
+ * @param {GameInfo} env.info
+ * @param {WorldInfoEntry[]} env.worldEntries
+ * @param {HistoryEntry[]} env.history
+ * @param {QuestInfo[]} env.quests
+ * @param {string} env.memory
+ * @param {(keys: string, entry: string, hidden?: boolean) => WorldInfoEntry} env.createEntry
+ * @returns {{ result: ModifierResult, state: GameState, logs: string[] }}
+ */
+exports.runPhase = (phase, env) => {
+  const { text, info, worldEntries, history, memory, createEntry } = env;
+  const state = JSON.parse(JSON.stringify(env.state));
+
+  /** @type {string[]} */
+  const logs = [];
+  const originalLog = console.log;
+
+  const globals = {
+    quests: env.quests.map((quest) => ({ ...quest })),
+    addWorldEntry: (/** @type {string} */ keys, /** @type {string} */ entry, hidden = false) => {
+      worldEntries.push(createEntry(keys, entry, hidden));
+    },
+    updateWorldEntry: (/** @type {number} */ index, /** @type {string} */ keys, /** @type {string} */ entry, hidden = false) => {
+      const oldEntry = worldEntries[index];
+      if (!oldEntry) throw new Error(`No world-info entry exists at index ${index}.`);
+      worldEntries[index] = { ...oldEntry, keys, entry, hidden };
+    },
+    removeWorldEntry: (/** @type {number} */ index) => {
+      if (!worldEntries[index]) throw new Error(`No world-info entry exists at index ${index}.`);
+      worldEntries.splice(index, 1);
+    }
+  };
+
+  try {
+    console.log = (...args) => {
+      logs.push(args.map((v) => typeof v === "string" ? v : JSON.stringify(v, undefined, 2)).join(" "));
+    };
+    Object.assign(global, globals);
+
+    const modifier = loadModifier(phase);
+    const result = modifier(text, state, info, worldEntries, history, memory);
+    return { result, state: JSON.parse(JSON.stringify(state)), logs };
+  }
+  finally {
+    console.log = originalLog;
+    // @ts-ignore - Cleaning up after ourselves.
+    for (const key of Object.keys(globals)) delete global[key];
+  }
+};
+
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Gets the path of the snapshot file that belongs to a scenario fixture.
+ *
+ * @param {string} scenarioPath
+ * @returns {string}
+ */
+exports.snapshotPathFor = (scenarioPath) => {
+  const { dir, name } = path.parse(scenarioPath);
+  return path.join(dir, `${name}.snap.json`);
+};
+
+/**
+ * Reads a snapshot, if it exists.
+ *
+ * @param {string} snapshotPath
+ * @returns {unknown[] | undefined}
+ */
+exports.readSnapshot = (snapshotPath) => {
+  if (!fs.existsSync(snapshotPath)) return undefined;
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+};
+
+/**
+ * Writes the records of a simulation out as a snapshot.
+ *
+ * @param {string} snapshotPath
+ * @param {unknown[]} records
+ */
+exports.writeSnapshot = (snapshotPath, records) => {
+  fs.writeFileSync(snapshotPath, `${JSON.stringify(records, undefined, 2)}\n`, "utf8");
+};
+
+/**
+ * Walks two JSON-compatible values and lists the paths where they differ.
+ *
+ * @param {unknown} expected
+ * @param {unknown} actual
+ * @param {string} [curPath]
+ * @returns {string[]}
+ */
+const diffValues = (expected, actual, curPath = "") => {
+  if (Object.is(expected, actual)) return [];
+
+  const bothObjects
+    = typeof expected === "object" && expected !== null
+    && typeof actual === "object" && actual !== null
+    && Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) return [curPath || "(root)"];
+
+  /** @type {Record<string, unknown>} */
+  const expObj = Object(expected);
+  /** @type {Record<string, unknown>} */
+  const actObj = Object(actual);
+  const keys = new Set([...Object.keys(expObj), ...Object.keys(actObj)]);
+  return [...keys].flatMap((key) => diffValues(expObj[key], actObj[key], `${curPath}.${key}`));
+};
+
+/**
+ * Compares the records of a simulation against a snapshot.  Produces a
+ * list of human-readable differences, which will be empty if they match.
+ *
+ * The snapshot is round-tripped through JSON, so the records are too,
+ * to avoid reporting `undefined` properties as differences.
+ *
+ * @param {unknown[]} snapshot
+ * @param {unknown[]} records
+ * @returns {string[]}
+ */
+exports.compareSnapshot = (snapshot, records) => {
+  const actual = JSON.parse(JSON.stringify(records));
+  if (snapshot.length !== actual.length)
+    return [`Expected ${snapshot.length} turns, but the simulation produced ${actual.length}.`];
+
+  return snapshot.flatMap((expTurn, turn) => {
+    return diffValues(expTurn, actual[turn]).map((diffPath) => `Turn ${turn}: ${diffPath}`);
+  });
+};